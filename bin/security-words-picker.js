@@ -0,0 +1,372 @@
+#!/usr/bin/env node
+// /word-picker/bin/security-words-picker.js
+
+const fs = require('fs');
+const path = require('path');
+const { createWordServer, getWordsDetailed, serveRpc, InsufficientWordsError, InvalidOptionError, WordPickerError } = require('../index');
+const { OPTION_SCHEMA, getTextTypes, parseOptionValue, suggestKey } = require('../lib/options');
+const { parseWordList } = require('../lib/loader');
+
+// Exit codes: 1 for other failures, 2 for bad flags or options, 3 when the filters cannot satisfy the request
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+const EXIT_INSUFFICIENT = 3;
+
+// Words returned when neither --count nor --target-entropy-bits is given
+const DEFAULT_COUNT = 6;
+
+// Short names for common options, next to the generated ones
+const FLAG_ALIASES = {
+    'starts-with': 'filterStartsWith',
+    'ends-with': 'filterEndsWith',
+    case: 'caseOption'
+};
+
+// Flags handled by the tool itself rather than passed to getWords
+const CLI_FLAGS = {
+    count: { short: 'n', value: '<n>', description: `Number of words (default ${DEFAULT_COUNT}, or enough for --target-entropy-bits)` },
+    words: { short: 'w', value: '<file>', description: 'Word list file to use instead of the bundled list; "-" reads it from stdin' },
+    output: { short: 'o', value: '<format>', description: 'Output format: "lines" (default), "json" or "string"' },
+    separator: { value: '<text>', description: 'Separator for --output string (default " ")' },
+    details: { description: 'Print the words and their metadata (entropy, crack times, RNG) as JSON' },
+    serve: { value: '<port>', description: 'Serve GET/POST /words over HTTP instead of printing words; the other options become defaults' },
+    host: { value: '<host>', description: 'Address for --serve to listen on (default 127.0.0.1)' },
+    rpc: { description: 'Answer JSON-RPC 2.0 requests on stdin, one per line, until stdin ends; the other options become defaults' },
+    help: { short: 'h', description: 'Show this help' },
+    version: { description: 'Show the version number' }
+};
+
+// Value hints shown in --help for the schema types that can be written on a command line
+const VALUE_HINTS = {
+    boolean: '',
+    integer: '<integer>',
+    number: '<number>',
+    string: '<text>',
+    stringArray: '<a,b,...>',
+    regexp: '<regex>',
+    set: '<word,...>',
+    numberMap: '<key=number,...>',
+    numberRange: '<min,max>'
+};
+
+/**
+ * Converts an option name to its flag, e.g. "lengthMin" to "length-min".
+ *
+ * @param {string} name - Option name.
+ * @returns {string} - Flag name without the leading dashes.
+ */
+function toFlagName(name) {
+    return name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Builds the table of option flags from OPTION_SCHEMA. Options of object type with `properties`
+ * also get one flag per property (e.g. --strict-min-pool-size). Functions and objects such as
+ * `logger` cannot be written on a command line and are left out.
+ *
+ * @returns {Map<string, Object>} - Flag name to `{ option, property, types, entry }`.
+ */
+function buildOptionFlags() {
+    const flags = new Map();
+    const addFlag = (flag, option, property, entry) => {
+        const types = getTextTypes(entry);
+        if (types.length > 0) {
+            flags.set(flag, { option, property, types, entry });
+        }
+    };
+
+    Object.keys(OPTION_SCHEMA).forEach(option => {
+        const entry = OPTION_SCHEMA[option];
+        addFlag(toFlagName(option), option, null, entry);
+        if (entry.properties) {
+            Object.keys(entry.properties).forEach(property => {
+                addFlag(`${toFlagName(option)}-${toFlagName(property)}`, option, property, entry.properties[property]);
+            });
+        }
+    });
+    Object.keys(FLAG_ALIASES).forEach(alias => {
+        flags.set(alias, flags.get(toFlagName(FLAG_ALIASES[alias])));
+    });
+    return flags;
+}
+
+const OPTION_FLAGS = buildOptionFlags();
+
+/**
+ * Thrown for command lines that cannot be parsed.
+ */
+class UsageError extends Error {}
+
+/**
+ * Builds the error for an unknown flag, suggesting the closest known one.
+ *
+ * @param {string} flag - The flag without its leading dashes.
+ * @returns {UsageError} - The error to throw.
+ */
+function unknownFlagError(flag) {
+    const flags = Object.keys(CLI_FLAGS);
+    OPTION_FLAGS.forEach((spec, name) => {
+        flags.push(name);
+        if (spec.types.includes('boolean')) flags.push(`no-${name}`);
+    });
+    const suggestion = suggestKey(flag, flags);
+    return new UsageError(`Unknown flag --${flag}.${suggestion ? ` Did you mean --${suggestion}?` : ' Run with --help to list the flags.'}`);
+}
+
+/**
+ * Parses command-line arguments into getWords options and tool settings.
+ *
+ * @param {Array<string>} argv - Arguments after the script name.
+ * @returns {{options: Object, cli: Object}} - getWords options, and the values of CLI_FLAGS.
+ * @throws {UsageError} - For unknown flags and values that cannot be converted.
+ */
+function parseArgs(argv) {
+    const options = {};
+    const cli = {};
+    const shortFlags = {};
+    Object.keys(CLI_FLAGS).forEach(flag => {
+        if (CLI_FLAGS[flag].short) shortFlags[CLI_FLAGS[flag].short] = flag;
+    });
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        let flag;
+        let raw;
+        if (/^--[^=]+=/.test(arg)) {
+            flag = arg.slice(2, arg.indexOf('='));
+            raw = arg.slice(arg.indexOf('=') + 1);
+        } else if (arg.startsWith('--')) {
+            flag = arg.slice(2);
+        } else if (/^-[a-z]$/.test(arg) && shortFlags[arg[1]]) {
+            flag = shortFlags[arg[1]];
+        } else {
+            throw new UsageError(`Unexpected argument '${arg}'.`);
+        }
+        // The next argument is the value, unless it is another flag
+        const next = argv[i + 1];
+        const takeNext = () => {
+            if (next === undefined || (next.startsWith('-') && next !== '-' && !/^-\d/.test(next))) {
+                throw new UsageError(`--${flag} needs a value.`);
+            }
+            i++;
+            return next;
+        };
+
+        if (Object.prototype.hasOwnProperty.call(CLI_FLAGS, flag)) {
+            if (CLI_FLAGS[flag].value) {
+                cli[flag] = raw !== undefined ? raw : takeNext();
+            } else {
+                cli[flag] = true;
+            }
+            continue;
+        }
+
+        // "--no-<flag>" switches a boolean option off
+        let spec = OPTION_FLAGS.get(flag);
+        if (!spec && flag.startsWith('no-') && raw === undefined) {
+            spec = OPTION_FLAGS.get(flag.slice(3));
+            if (!spec || !spec.types.includes('boolean')) {
+                throw unknownFlagError(flag);
+            }
+            raw = 'false';
+        }
+        if (!spec) {
+            throw unknownFlagError(flag);
+        }
+
+        if (raw === undefined) {
+            if (!spec.types.includes('boolean')) {
+                raw = takeNext();
+            } else if (spec.entry.values && spec.entry.values.includes(next)) {
+                // e.g. "--phonetic-distinct selection"
+                raw = takeNext();
+            } else {
+                raw = 'true';
+            }
+        }
+
+        const value = parseOptionValue(spec.entry, raw);
+        if (value === undefined) {
+            throw new UsageError(`Invalid value '${raw}' for --${flag} (expected ${spec.types.map(type => VALUE_HINTS[type] || type).join(' or ')}).`);
+        }
+
+        if (spec.property) {
+            const current = options[spec.option];
+            options[spec.option] = Object.assign(current && typeof current === 'object' ? current : {}, { [spec.property]: value });
+        } else if (Array.isArray(value) && Array.isArray(options[spec.option]) && spec.types.includes('stringArray')) {
+            // Repeated list flags add up
+            options[spec.option] = options[spec.option].concat(value);
+        } else {
+            options[spec.option] = value;
+        }
+    }
+    return { options, cli };
+}
+
+/**
+ * Builds the --help text from CLI_FLAGS and the generated option flags.
+ *
+ * @returns {string} - Usage text.
+ */
+function formatHelp() {
+    const lines = [
+        'Usage: security-words-picker [flags]',
+        '',
+        'Picks random words from the bundled word list or your own. Every getWords option is',
+        'available as a flag: lengthMin is --length-min, strict.minPoolSize is --strict-min-pool-size.',
+        'Boolean flags can be negated with --no-<flag>; list flags take comma separated values.',
+        '',
+        'Flags:'
+    ];
+    Object.keys(CLI_FLAGS).forEach(flag => {
+        const spec = CLI_FLAGS[flag];
+        const names = `${spec.short ? `-${spec.short}, ` : '    '}--${flag}${spec.value ? ` ${spec.value}` : ''}`;
+        lines.push(`  ${names.padEnd(34)}${spec.description}`);
+    });
+    lines.push('', 'Options:');
+    OPTION_FLAGS.forEach((spec, flag) => {
+        if (FLAG_ALIASES[flag]) return;
+        const hint = spec.types.filter(type => type !== 'boolean').map(type => VALUE_HINTS[type]).join('|');
+        const values = spec.entry.values ? ` (${spec.entry.values.join(', ')})` : '';
+        lines.push(`  --${flag}${hint ? ` ${hint}` : ''}${values}`);
+    });
+    lines.push('', `Aliases: ${Object.keys(FLAG_ALIASES).map(alias => `--${alias}`).join(', ')}.`);
+    lines.push('', 'Exit codes: 0 success, 1 error, 2 invalid flags or options, 3 not enough words for the filters.');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats the words for stdout.
+ *
+ * @param {Array|string|Object} words - What getWords returned.
+ * @param {string} output - "lines", "json" or "string".
+ * @param {string} separator - Separator for "string".
+ * @returns {string} - Text to print.
+ */
+function formatWords(words, output, separator) {
+    const plain = Array.isArray(words) && words.every(word => typeof word === 'string');
+    if (output === 'json' || (!plain && typeof words !== 'string')) {
+        return `${JSON.stringify(words, null, 2)}\n`;
+    }
+    if (typeof words === 'string') {
+        return `${words}\n`;
+    }
+    return output === 'string' ? `${words.join(separator)}\n` : words.map(word => `${word}\n`).join('');
+}
+
+/**
+ * Runs the tool.
+ *
+ * @param {Array<string>} argv - Arguments after the script name.
+ * @param {Object} [io] - (Optional) `stdin` (a function returning its contents), `input` (the stream read by --rpc),
+ *   `stdout` and `stderr` streams.
+ * @returns {number} - Exit code.
+ */
+function main(argv, io = {}) {
+    const stdout = io.stdout || process.stdout;
+    const stderr = io.stderr || process.stderr;
+    const readStdin = io.stdin || (() => fs.readFileSync(0, 'utf8'));
+    const fail = (code, message) => {
+        stderr.write(`security-words-picker: ${message}\n`);
+        return code;
+    };
+
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (err) {
+        if (err instanceof UsageError) return fail(EXIT_USAGE, err.message);
+        throw err;
+    }
+    const { options, cli } = parsed;
+
+    if (cli.help) {
+        stdout.write(formatHelp());
+        return 0;
+    }
+    if (cli.version) {
+        stdout.write(`${require(path.join(__dirname, '..', 'package.json')).version}\n`);
+        return 0;
+    }
+
+    const output = cli.output || 'lines';
+    if (!['lines', 'json', 'string'].includes(output)) {
+        return fail(EXIT_USAGE, `--output must be "lines", "json" or "string", got "${output}".`);
+    }
+    let count;
+    if (cli.count !== undefined) {
+        count = /^\d+$/.test(cli.count) ? Number(cli.count) : NaN;
+        if (!(count > 0)) return fail(EXIT_USAGE, `--count must be a positive integer, got "${cli.count}".`);
+    } else if (options.targetEntropyBits === undefined) {
+        count = DEFAULT_COUNT;
+    }
+
+    // A short result is a failure for scripts, so strict mode is on unless --no-strict is given
+    if (options.strict === undefined) {
+        options.strict = true;
+    }
+    // Warnings go to stderr, keeping stdout for the words
+    if (options.logLevel === undefined) {
+        options.logLevel = 'warn';
+    }
+    options.logger = { debug: message => stderr.write(`${message}\n`) };
+    ['info', 'warn', 'error'].forEach(level => {
+        options.logger[level] = options.logger.debug;
+    });
+
+    if (cli.rpc && cli.words === '-') {
+        return fail(EXIT_USAGE, '--rpc reads requests from stdin, so --words cannot read the list from it.');
+    }
+
+    try {
+        let words = null;
+        if (cli.words === '-') {
+            words = parseWordList(readStdin(), 'stdin').words;
+        } else if (cli.words !== undefined) {
+            words = cli.words;
+        }
+        if (cli.rpc) {
+            const defaults = Object.assign({}, options);
+            delete defaults.logger;
+            delete defaults.logLevel;
+            serveRpc({ defaults, words, input: io.input || process.stdin, output: stdout });
+            return 0;
+        }
+        if (cli.serve !== undefined) {
+            const port = /^\d+$/.test(cli.serve) ? Number(cli.serve) : NaN;
+            if (!(port <= 65535)) return fail(EXIT_USAGE, `--serve must be a port number, got "${cli.serve}".`);
+            const host = cli.host || '127.0.0.1';
+            // The server manages logging itself; the other options apply to every request
+            const { logger, logLevel } = options;
+            const defaults = Object.assign({}, options);
+            delete defaults.logger;
+            delete defaults.logLevel;
+            const server = createWordServer({ defaults, words, logger, logLevel });
+            server.on('error', err => {
+                stderr.write(`security-words-picker: ${err.message}\n`);
+                process.exitCode = EXIT_ERROR;
+            });
+            server.listen(port, host, () => {
+                stderr.write(`Serving words on http://${host}:${server.address().port}/words\n`);
+            });
+            return 0;
+        }
+        const result = getWordsDetailed(options, count, words);
+        const text = cli.details
+            ? `${JSON.stringify(result, (key, value) => (value instanceof Set ? Array.from(value) : value), 2)}\n`
+            : formatWords(result.words, output, cli.separator !== undefined ? cli.separator : ' ');
+        stdout.write(text);
+        return 0;
+    } catch (err) {
+        if (err instanceof InsufficientWordsError) return fail(EXIT_INSUFFICIENT, err.message);
+        if (err instanceof InvalidOptionError) return fail(EXIT_USAGE, err.message);
+        if (err instanceof WordPickerError) return fail(EXIT_ERROR, err.message);
+        throw err;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,249 @@
+// /word-picker/lib/bip39.js
+
+const crypto = require('crypto');
+const path = require('path');
+const { InvalidMnemonicError, InvalidOptionError, WordListLoadError } = require('./errors');
+const { loadWordList } = require('./loader');
+
+// The official BIP39 English word list
+const BIP39_ENGLISH_PATH = path.join(__dirname, '..', 'words', 'bip39-english.txt');
+
+// Every word encodes 11 bits, so a BIP39 list has exactly 2^11 words
+const BIP39_LIST_SIZE = 2048;
+const BITS_PER_WORD = 11;
+
+// Valid mnemonic lengths: 128 to 256 bits of entropy, plus one checksum bit per 32 bits
+const MNEMONIC_LENGTHS = [12, 15, 18, 21, 24];
+
+// Seed derivation parameters fixed by the specification
+const PBKDF2_ITERATIONS = 2048;
+const SEED_BYTES = 64;
+
+// Word positions of validated, frozen word lists (as returned by loadWordList)
+const wordIndexCache = new WeakMap();
+
+/**
+ * Loads a BIP39 word list through the word list loader and checks that it has exactly
+ * 2048 distinct words.
+ *
+ * @param {string|Array<string>} [source] - (Optional) Path of a word list file, or an array of words.
+ *   Defaults to the bundled English list (words/bip39-english.txt).
+ * @returns {{words: ReadonlyArray<string>, index: Map<string, number>}} - The words, and the position of every word
+ *   (normalized to NFKD).
+ * @throws {WordListLoadError} - If the list cannot be loaded or is not a BIP39 list.
+ */
+function loadBip39WordList(source) {
+    const words = loadWordList(source === undefined || source === null ? BIP39_ENGLISH_PATH : source);
+    const cached = wordIndexCache.get(words);
+    if (cached) return { words, index: cached };
+
+    const description = typeof source === 'string' ? path.resolve(source) : (Array.isArray(source) ? 'array' : BIP39_ENGLISH_PATH);
+    if (words.length !== BIP39_LIST_SIZE || !words.every(word => typeof word === 'string' && word.length > 0)) {
+        throw new WordListLoadError(
+            `A BIP39 word list must have exactly ${BIP39_LIST_SIZE} words, got ${words.length}.`,
+            { source: description }
+        );
+    }
+    const index = new Map(words.map((word, position) => [word.normalize('NFKD'), position]));
+    if (index.size !== BIP39_LIST_SIZE) {
+        throw new WordListLoadError('A BIP39 word list must not contain duplicate words.', { source: description });
+    }
+
+    // Arrays passed by the caller may still change, so only frozen lists are cached
+    if (Object.isFrozen(words)) {
+        wordIndexCache.set(words, index);
+    }
+    return { words, index };
+}
+
+/**
+ * Converts entropy given as a Buffer, Uint8Array or hex string to a Buffer and checks its size.
+ *
+ * @param {Buffer|Uint8Array|string} entropy - 16 to 32 bytes, a multiple of 4.
+ * @returns {Buffer} - The entropy bytes.
+ * @throws {InvalidOptionError} - If the entropy has the wrong type or size.
+ */
+function toEntropyBuffer(entropy) {
+    let bytes;
+    if (typeof entropy === 'string' && /^([0-9a-f]{2})*$/i.test(entropy)) {
+        bytes = Buffer.from(entropy, 'hex');
+    } else if (entropy instanceof Uint8Array) {
+        bytes = Buffer.from(entropy);
+    } else {
+        throw new InvalidOptionError("'entropy' must be a Buffer, a Uint8Array or a hex string.", { option: 'entropy' });
+    }
+    if (bytes.length < 16 || bytes.length > 32 || bytes.length % 4 !== 0) {
+        throw new InvalidOptionError(
+            `'entropy' must be 16, 20, 24, 28 or 32 bytes, got ${bytes.length}.`,
+            { option: 'entropy' }
+        );
+    }
+    return bytes;
+}
+
+/**
+ * Returns the bits of a buffer as a string of "0" and "1".
+ *
+ * @param {Buffer} bytes - Bytes to convert.
+ * @returns {string} - Eight characters per byte, most significant bit first.
+ */
+function toBits(bytes) {
+    return Array.from(bytes, byte => byte.toString(2).padStart(8, '0')).join('');
+}
+
+/**
+ * Computes the checksum of some entropy: the first (entropy bits / 32) bits of its SHA-256 hash.
+ *
+ * @param {Buffer} entropy - The entropy bytes.
+ * @returns {string} - Checksum bits as "0" and "1" characters.
+ */
+function checksumBits(entropy) {
+    const hash = crypto.createHash('sha256').update(entropy).digest();
+    return toBits(hash).slice(0, (entropy.length * 8) / 32);
+}
+
+/**
+ * Splits a mnemonic into NFKD-normalized words.
+ *
+ * @param {string|Array<string>} mnemonic - Space separated words, or an array of words.
+ * @returns {Array<string>} - The words.
+ */
+function splitMnemonic(mnemonic) {
+    if (Array.isArray(mnemonic)) {
+        return mnemonic.map(word => String(word).normalize('NFKD'));
+    }
+    if (typeof mnemonic !== 'string') {
+        throw new InvalidOptionError("'mnemonic' must be a string or an array of words.", { option: 'mnemonic' });
+    }
+    const trimmed = mnemonic.normalize('NFKD').trim();
+    return trimmed.length > 0 ? trimmed.split(/\s+/) : [];
+}
+
+/**
+ * Encodes entropy as a mnemonic: the entropy bits followed by the checksum, read 11 bits per word.
+ *
+ * @param {Buffer|Uint8Array|string} entropy - 16 to 32 bytes (a multiple of 4), or their hex encoding.
+ * @param {string|Array<string>} [wordList] - (Optional) BIP39 word list file or array. Defaults to English.
+ * @returns {string} - The words, separated by single spaces.
+ * @throws {WordPickerError} - InvalidOptionError for bad entropy, WordListLoadError for a bad word list.
+ */
+function entropyToMnemonic(entropy, wordList) {
+    const bytes = toEntropyBuffer(entropy);
+    const { words } = loadBip39WordList(wordList);
+    const bits = toBits(bytes) + checksumBits(bytes);
+    const mnemonic = [];
+    for (let offset = 0; offset < bits.length; offset += BITS_PER_WORD) {
+        mnemonic.push(words[parseInt(bits.slice(offset, offset + BITS_PER_WORD), 2)]);
+    }
+    return mnemonic.join(' ');
+}
+
+/**
+ * Generates a mnemonic from fresh entropy drawn from Node's crypto CSPRNG.
+ *
+ * @param {number} [wordCount=12] - (Optional) 12, 15, 18, 21 or 24 words (128 to 256 bits of entropy).
+ * @param {string|Array<string>} [wordList] - (Optional) BIP39 word list file or array. Defaults to English.
+ * @returns {string} - The words, separated by single spaces.
+ * @throws {WordPickerError} - InvalidOptionError for a bad word count, WordListLoadError for a bad word list.
+ */
+function generateMnemonic(wordCount = 12, wordList) {
+    if (!MNEMONIC_LENGTHS.includes(wordCount)) {
+        throw new InvalidOptionError(
+            `'wordCount' must be one of ${MNEMONIC_LENGTHS.join(', ')}, got ${wordCount}.`,
+            { option: 'wordCount' }
+        );
+    }
+    // 3 words carry 32 bits of entropy and 1 checksum bit
+    return entropyToMnemonic(crypto.randomBytes((wordCount / 3) * 4), wordList);
+}
+
+/**
+ * Decodes a mnemonic back to its entropy, checking its length, words and checksum.
+ *
+ * @param {string|Array<string>} mnemonic - Space separated words, or an array of words.
+ * @param {string|Array<string>} [wordList] - (Optional) BIP39 word list file or array. Defaults to English.
+ * @returns {string} - The entropy as a lowercase hex string.
+ * @throws {WordPickerError} - InvalidMnemonicError if the mnemonic is invalid, WordListLoadError for a bad word list.
+ */
+function mnemonicToEntropy(mnemonic, wordList) {
+    const mnemonicWords = splitMnemonic(mnemonic);
+    if (!MNEMONIC_LENGTHS.includes(mnemonicWords.length)) {
+        throw new InvalidMnemonicError(
+            `A mnemonic must have ${MNEMONIC_LENGTHS.join(', ')} words, got ${mnemonicWords.length}.`,
+            { reason: 'wordCount' }
+        );
+    }
+
+    const { index } = loadBip39WordList(wordList);
+    const bits = mnemonicWords.map((word, position) => {
+        if (!index.has(word)) {
+            throw new InvalidMnemonicError(
+                `Word ${position + 1} ('${word}') is not in the word list.`,
+                { reason: 'unknownWord', word, index: position }
+            );
+        }
+        return index.get(word).toString(2).padStart(BITS_PER_WORD, '0');
+    }).join('');
+
+    // The last (words / 3) bits are the checksum
+    const entropyBitCount = (mnemonicWords.length / 3) * 32;
+    const entropyBits = bits.slice(0, entropyBitCount);
+    const entropy = Buffer.from(entropyBits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+    if (checksumBits(entropy) !== bits.slice(entropyBitCount)) {
+        throw new InvalidMnemonicError('The mnemonic checksum does not match.', { reason: 'checksum' });
+    }
+    return entropy.toString('hex');
+}
+
+/**
+ * Checks whether a mnemonic has a valid length, known words and a matching checksum.
+ *
+ * @param {string|Array<string>} mnemonic - Space separated words, or an array of words.
+ * @param {string|Array<string>} [wordList] - (Optional) BIP39 word list file or array. Defaults to English.
+ * @returns {boolean} - True if the mnemonic is valid.
+ * @throws {WordListLoadError} - If the word list cannot be loaded or is not a BIP39 list.
+ */
+function validateMnemonic(mnemonic, wordList) {
+    try {
+        mnemonicToEntropy(mnemonic, wordList);
+        return true;
+    } catch (err) {
+        if (err instanceof InvalidMnemonicError) return false;
+        throw err;
+    }
+}
+
+/**
+ * Derives the 64-byte binary seed of a mnemonic: PBKDF2-HMAC-SHA512 with 2048 iterations, the
+ * NFKD-normalized mnemonic as password and "mnemonic" + the NFKD-normalized passphrase as salt.
+ * As the specification requires, the mnemonic is not validated, so check it first with
+ * validateMnemonic when it was typed by a user.
+ *
+ * @param {string|Array<string>} mnemonic - The mnemonic sentence, or an array of words (joined with single spaces).
+ * @param {string} [passphrase=''] - (Optional) Extra passphrase protecting the seed.
+ * @returns {Buffer} - The 64-byte seed.
+ * @throws {InvalidOptionError} - If the mnemonic or passphrase is not a string.
+ */
+function mnemonicToSeed(mnemonic, passphrase = '') {
+    if (typeof passphrase !== 'string') {
+        throw new InvalidOptionError("'passphrase' must be a string.", { option: 'passphrase' });
+    }
+    const sentence = Array.isArray(mnemonic) ? mnemonic.join(' ') : mnemonic;
+    if (typeof sentence !== 'string') {
+        throw new InvalidOptionError("'mnemonic' must be a string or an array of words.", { option: 'mnemonic' });
+    }
+    const password = Buffer.from(sentence.normalize('NFKD'), 'utf8');
+    const salt = Buffer.from(`mnemonic${passphrase}`.normalize('NFKD'), 'utf8');
+    return crypto.pbkdf2Sync(password, salt, PBKDF2_ITERATIONS, SEED_BYTES, 'sha512');
+}
+
+module.exports = {
+    BIP39_ENGLISH_PATH,
+    MNEMONIC_LENGTHS,
+    entropyToMnemonic,
+    generateMnemonic,
+    loadBip39WordList,
+    mnemonicToEntropy,
+    mnemonicToSeed,
+    validateMnemonic
+};
@@ -0,0 +1,123 @@
+// /word-picker/lib/capabilities.js
+
+const { getField, getFieldList } = require('./entries');
+const { loadWordList } = require('./loader');
+
+/**
+ * Word data ("capability") each option needs before it can be evaluated.
+ * Options not listed here only look at the spelling of a word and work with any source.
+ */
+const OPTION_CAPABILITIES = {
+    languages: 'language',
+    syllableCount: 'syllables',
+    limitSyllables: 'syllables',
+    onlyMonosyllabic: 'syllables',
+    onlyPolysyllabic: 'syllables',
+    includePartsOfSpeech: 'partOfSpeech',
+    excludePartsOfSpeech: 'partOfSpeech',
+    includeWordOrigins: 'origin',
+    excludeWordOrigins: 'origin',
+    excludeProperNouns: 'properNoun',
+    excludeSlang: 'slang',
+    synonyms: 'synonyms',
+    includeHomonyms: 'homonyms',
+    excludeHomonyms: 'homonyms',
+    excludeCompoundWords: 'compound',
+    excludeAbbreviations: 'abbreviation',
+    includeDefinitions: 'definitions',
+    includeExamples: 'examples'
+};
+
+// Whether a `tags` array is present: tagged sources can say a word is NOT slang, compound, etc.
+const hasTagList = entry => Array.isArray(getField(entry, 'tags'));
+
+/**
+ * How to tell that a word list entry carries the data behind each capability.
+ */
+const CAPABILITY_DETECTORS = {
+    language: entry => typeof getField(entry, 'language') === 'string',
+    syllables: entry => Number.isInteger(getField(entry, 'syllables')),
+    partOfSpeech: entry => getFieldList(entry, 'partOfSpeech').length > 0,
+    origin: entry => typeof getField(entry, 'origin') === 'string',
+    properNoun: entry => hasTagList(entry) || getFieldList(entry, 'partOfSpeech').length > 0,
+    slang: hasTagList,
+    synonyms: entry => Array.isArray(getField(entry, 'synonyms')),
+    homonyms: hasTagList,
+    compound: hasTagList,
+    abbreviation: hasTagList,
+    definitions: entry => typeof getField(entry, 'definition') === 'string',
+    examples: entry => getFieldList(entry, 'examples').length > 0
+};
+
+/**
+ * Returns the capabilities a word source provides.
+ *
+ * A capability is provided when at least one word object carries the matching field; words
+ * without it fail "include" filters and pass "exclude" filters. Syllables are estimated from
+ * the spelling when missing, so every source provides them; a list of plain strings provides
+ * no other capability.
+ *
+ * @param {Array} words - The word source.
+ * @returns {Set<string>} - Capability names.
+ */
+function detectCapabilities(words) {
+    // Estimated from the spelling for entries without a `syllables` field
+    const capabilities = new Set(['syllables']);
+    const objects = words.filter(entry => typeof entry !== 'string');
+    if (objects.length === 0) return capabilities;
+    Object.keys(CAPABILITY_DETECTORS).forEach(capability => {
+        if (objects.some(CAPABILITY_DETECTORS[capability])) {
+            capabilities.add(capability);
+        }
+    });
+    return capabilities;
+}
+
+/**
+ * Checks whether an option is switched on, i.e. would filter or add data.
+ *
+ * @param {*} value - The option value.
+ * @returns {boolean} - False for undefined, false and empty arrays.
+ */
+function isOptionActive(value) {
+    if (value === undefined || value === false) return false;
+    return !(Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Lists the active options that a word source cannot evaluate.
+ *
+ * @param {Object} options - getWords options.
+ * @param {Set<string>} capabilities - Capabilities of the word source.
+ * @returns {Array<{option: string, capability: string}>} - The unsupported options, in registry order.
+ */
+function findUnsupportedOptions(options, capabilities) {
+    return Object.keys(OPTION_CAPABILITIES)
+        .filter(option => isOptionActive(options[option]) && !capabilities.has(OPTION_CAPABILITIES[option]))
+        .map(option => ({ option, capability: OPTION_CAPABILITIES[option] }));
+}
+
+/**
+ * Describes what a word source can do: its capabilities and which capability-bound options it supports.
+ *
+ * @param {Array|string} [words] - (Optional) The word source: an array, or the path of a word list file.
+ *   Defaults to the bundled list.
+ * @returns {{capabilities: Array<string>, supportedOptions: Array<string>, unsupportedOptions: Array<string>}} - The description.
+ * @throws {WordListLoadError} - If the list file cannot be loaded.
+ */
+function getWordSourceCapabilities(words) {
+    const capabilities = detectCapabilities(loadWordList(words));
+    const optionNames = Object.keys(OPTION_CAPABILITIES);
+    return {
+        capabilities: Array.from(capabilities),
+        supportedOptions: optionNames.filter(option => capabilities.has(OPTION_CAPABILITIES[option])),
+        unsupportedOptions: optionNames.filter(option => !capabilities.has(OPTION_CAPABILITIES[option]))
+    };
+}
+
+module.exports = {
+    OPTION_CAPABILITIES,
+    detectCapabilities,
+    findUnsupportedOptions,
+    getWordSourceCapabilities
+};
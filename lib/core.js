@@ -0,0 +1,966 @@
+// /word-picker/lib/core.js
+
+const { loadWordList } = require('./loader');
+const {
+    InsufficientWordsError,
+    InvalidOptionError,
+    UnsupportedOptionError,
+    WordListLoadError
+} = require('./errors');
+const { MAX_WEIGHT, getField, getFieldList, getSyllables, getWordText, hasTag } = require('./entries');
+const { createLogger } = require('./logger');
+const { findUnsupportedOptions } = require('./capabilities');
+const { getListData } = require('./listdata');
+const { collectOptionIssues, createOptionsError, sanitizeOptions } = require('./options');
+const { createSecureRng, createSeededRng, weightedIndex } = require('./random');
+const { getRime, rimesMatch } = require('./rhyme');
+const { createPhoneticEncoder } = require('./phonetics');
+const { damerauLevenshtein, minPairwiseDistance } = require('./distance');
+const { deriveUniquePrefixSet, getPrefixKey } = require('./prefix');
+const {
+    DEFAULT_ATTACKER_MODELS,
+    calculatePoolEntropy,
+    estimateCrackTimes,
+    wordsForTargetEntropy
+} = require('./entropy');
+
+/**
+ * Retrieves a specified number of words based on optional constraints.
+ *
+ * @param {Object} options - An object containing optional parameters.
+ * @param {number} [amountOfWords] - Number of words to retrieve. May be omitted when `options.targetEntropyBits` is set.
+ * @param {Array<string>|string} [customWordsArray] - (Optional) Custom array of words, or path of a word list file, to use instead of words.txt or words.js.
+ * @param {function} [customErrorHandler] - (Optional) Called with the WordListLoadError when the words cannot be loaded;
+ *   may return an array of words to use instead, otherwise the error is rethrown.
+ * @returns {Array|string} - An array or string of words matching the specified criteria.
+ * @throws {WordPickerError} - InvalidOptionError, WordListLoadError or InsufficientWordsError.
+ */
+function getWords(options = {}, amountOfWords, customWordsArray = null, customErrorHandler = null) {
+    return getWordsDetailed(options, amountOfWords, customWordsArray, customErrorHandler).words;
+}
+
+/**
+ * Same as getWords, but also returns metadata describing how the result was produced.
+ *
+ * @param {Object} options - An object containing optional parameters.
+ * @param {number} [amountOfWords] - Number of words to retrieve. May be omitted when `options.targetEntropyBits` is set.
+ * @param {Array<string>|string} [customWordsArray] - (Optional) Custom array of words, or path of a word list file, to use instead of words.txt or words.js.
+ * @param {function} [customErrorHandler] - (Optional) Called with the WordListLoadError when the words cannot be loaded;
+ *   may return an array of words to use instead, otherwise the error is rethrown.
+ * @returns {{words: (Array|string), metadata: Object}} - The result of getWords and its metadata (e.g. `metadata.rng`).
+ */
+function getWordsDetailed(options = {}, amountOfWords, customWordsArray = null, customErrorHandler = null) {
+    // Validate every option and 'amountOfWords' at once, reporting all problems together
+    const issues = collectOptionIssues(options);
+    // Own properties only, like sanitizeOptions: an inherited value must not change the word count
+    const hasTargetEntropy = options !== null && typeof options === 'object'
+        && Object.prototype.hasOwnProperty.call(options, 'targetEntropyBits') && options.targetEntropyBits !== undefined;
+    if (!(amountOfWords === undefined && hasTargetEntropy) && !(Number.isInteger(amountOfWords) && amountOfWords > 0)) {
+        issues.push({ option: 'amountOfWords', code: 'invalidType', message: "'amountOfWords' must be a positive integer." });
+    }
+    if (issues.length > 0) {
+        throw createOptionsError(issues);
+    }
+
+    // Load the word list and apply every filter
+    const pool = filterWordPool(options, customWordsArray, customErrorHandler);
+    const { words: listWords, listData, poolIndices, filteredWords, logger, explainReport, phoneticEncoder, phoneticMode, calculateEntropy } = pool;
+    const { lowerWords } = listData;
+
+    // Destructure the options that shape the selection and output
+    const {
+        reverse = false,
+        asString = false,
+        sort,
+        caseOption,
+        minEditDistance,
+        substringDistinct = false,
+        includeMetadata = false,
+        history = new Set(),
+        seed,
+        rng: customRng,
+        weightedSelection,
+        customShuffle,
+        returnEntropy = false,
+        includeDefinitions = false,
+        includeExamples = false,
+        attackerModels = DEFAULT_ATTACKER_MODELS,
+        targetEntropyBits,
+        strict = false,
+        maxAttempts = 1000
+    } = pool.options;
+
+    // 'targetEntropyBits' can stand in for 'amountOfWords'
+    if (amountOfWords === undefined) {
+        amountOfWords = 0;
+    }
+
+    // Weight of every distinct word: weightedSelection overrides the `weight` field of word objects.
+    // The pool is only weighted when some word's weight differs from the default of 1, and
+    // customShuffle takes the pool as it is, so weights only apply to the built-in selection
+    const weights = weightedSelection && typeof weightedSelection === 'object' ? weightedSelection : {};
+    const wordWeight = (index) => {
+        if (Object.prototype.hasOwnProperty.call(weights, lowerWords[index])) return weights[lowerWords[index]];
+        const weight = getField(listWords[index], 'weight');
+        return weight === undefined ? 1 : weight;
+    };
+    const weighted = !customShuffle && (Object.keys(weights).length > 0 || listData.hasWeights)
+        && poolIndices.some(index => wordWeight(index) !== 1);
+
+    // List indices of the distinct words that can be drawn, and their weights
+    let distinctIndices = poolIndices;
+    let poolWeights;
+    if (weighted || listData.hasDuplicates) {
+        distinctIndices = [];
+        poolWeights = [];
+        const positions = new Map();
+        poolIndices.forEach(index => {
+            const weight = weighted ? wordWeight(index) : 1;
+            // Words weighted 0 are never drawn; repeated words add up and keep their first entry
+            if (weight <= 0) return;
+            const position = positions.get(lowerWords[index]);
+            if (position !== undefined) {
+                poolWeights[position] += weight;
+            } else {
+                positions.set(lowerWords[index], distinctIndices.length);
+                distinctIndices.push(index);
+                poolWeights.push(weight);
+            }
+        });
+    } else {
+        poolWeights = new Array(poolIndices.length).fill(1);
+    }
+    const ordered = sort !== 'asc' && sort !== 'desc';
+
+    // In selection mode, words that sound alike cannot share a phrase: group their weights by phonetic code
+    let groupWeights;
+    if (phoneticMode === 'selection') {
+        const groupTotals = new Map();
+        distinctIndices.forEach((index, position) => {
+            // Words without a code form groups of their own
+            const code = listData.phoneticCode(index, phoneticEncoder) || `\0${lowerWords[index]}`;
+            groupTotals.set(code, (groupTotals.get(code) || 0) + poolWeights[position]);
+        });
+        groupWeights = Array.from(groupTotals.values());
+    }
+    // Largest phrase the pool allows
+    const availableWords = groupWeights ? groupWeights.length : poolWeights.length;
+
+    // Derive the word count from the target entropy; an explicit amountOfWords acts as a minimum
+    if (targetEntropyBits !== undefined) {
+        const requiredWords = wordsForTargetEntropy({ weights: poolWeights, groupWeights, targetBits: targetEntropyBits, ordered });
+        if (requiredWords === null) {
+            // Unordered phrases peak at half the pool, ordered ones when the pool is exhausted
+            const bestCount = ordered ? availableWords : Math.floor(availableWords / 2);
+            const { phraseBits } = calculatePoolEntropy({ weights: poolWeights, groupWeights, count: bestCount, ordered });
+            throw new InsufficientWordsError(
+                `Cannot reach ${targetEntropyBits} bits of entropy: the filtered pool of ${poolWeights.length} words gives at most ${phraseBits.toFixed(1)} bits.`,
+                { reason: 'entropy', available: poolWeights.length, requestedBits: targetEntropyBits, availableBits: phraseBits }
+            );
+        }
+        amountOfWords = Math.max(amountOfWords, requiredWords);
+    }
+
+    // Strict mode: refuse to draw from a pool that is too small
+    const strictOptions = strict && typeof strict === 'object' ? strict : {};
+    if (strict && strictOptions.minPoolSize !== undefined && poolWeights.length < strictOptions.minPoolSize) {
+        throw new InsufficientWordsError(
+            `The filtered pool has ${poolWeights.length} words, below the strict minimum of ${strictOptions.minPoolSize}.`,
+            { reason: 'poolSize', requested: strictOptions.minPoolSize, available: poolWeights.length }
+        );
+    }
+
+    // Count draws; maxAttempts caps them to prevent infinite loops
+    let attempts = 0;
+
+    // Constraints between the words of one phrase: a candidate that sounds like (phoneticDistinct "selection"),
+    // is too few edits away from (minEditDistance) or contains or is contained in (substringDistinct)
+    // an already selected word is skipped and another is drawn
+    const distanceChecked = minEditDistance > 1 || substringDistinct;
+    const selectedCodes = new Set();
+    const selectedLowerWords = [];
+    const acceptCandidate = (lowerWord, code) => {
+        if (code !== '' && selectedCodes.has(code)) return false;
+        if (minEditDistance > 1 && selectedLowerWords.some(other => damerauLevenshtein(lowerWord, other) < minEditDistance)) {
+            return false;
+        }
+        if (substringDistinct && selectedLowerWords.some(other => lowerWord.includes(other) || other.includes(lowerWord))) {
+            return false;
+        }
+        if (code !== '') selectedCodes.add(code);
+        selectedLowerWords.push(lowerWord);
+        return true;
+    };
+
+    // Phonetic code checked by acceptCandidate for the word at a list index
+    const selectionCode = (index) => (phoneticMode === 'selection' ? listData.phoneticCode(index, phoneticEncoder) : '');
+
+    // Select the desired number of words
+    let selectedEntries = [];
+    let rngInfo;
+    if (customShuffle && typeof customShuffle === 'function') {
+        // Caller-supplied shuffle: take the first words of the shuffled pool
+        customShuffle(filteredWords);
+        for (let i = 0; i < filteredWords.length && i < maxAttempts && selectedEntries.length < amountOfWords; i++) {
+            attempts++;
+            const lowerWord = getWordText(filteredWords[i]).toLowerCase();
+            if (!acceptCandidate(lowerWord, phoneticMode === 'selection' ? phoneticEncoder.encode(lowerWord) : '')) continue;
+            selectedEntries.push(filteredWords[i]);
+        }
+        rngInfo = { algorithm: 'customShuffle', secure: false };
+    } else {
+        let rng;
+        if (customRng) {
+            rng = checkedRng(customRng);
+        } else {
+            rng = seed !== undefined ? createSeededRng(seed) : createSecureRng();
+        }
+        if (weighted) {
+            // Weighted draws without replacement: each draw picks a remaining word with a probability
+            // proportional to its weight, so heavy words cannot crowd out the rest of the phrase
+            const candidates = distinctIndices.slice();
+            const candidateWeights = poolWeights.slice();
+            let remainingWeight = candidateWeights.reduce((acc, weight) => acc + weight, 0);
+            while (candidates.length > 0 && attempts < maxAttempts && selectedEntries.length < amountOfWords) {
+                attempts++;
+                const j = weightedIndex(rng, candidateWeights, remainingWeight);
+                const index = candidates[j];
+                remainingWeight -= candidateWeights[j];
+                candidates[j] = candidates[candidates.length - 1];
+                candidateWeights[j] = candidateWeights[candidateWeights.length - 1];
+                candidates.pop();
+                candidateWeights.pop();
+                if (!acceptCandidate(lowerWords[index], selectionCode(index))) continue;
+                selectedEntries.push(listWords[index]);
+            }
+        } else {
+            // Partial Fisher-Yates: each draw picks uniformly among the words not yet drawn
+            const candidates = poolIndices.slice();
+            const selectedSet = new Set();
+            for (let i = 0; i < candidates.length && attempts < maxAttempts && selectedEntries.length < amountOfWords; i++) {
+                const j = i + rng.nextInt(candidates.length - i);
+                [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+                const lowerWord = lowerWords[candidates[i]];
+                // Repeated words in the list are skipped without counting as an attempt
+                if (selectedSet.has(lowerWord)) continue;
+                attempts++;
+                if (!acceptCandidate(lowerWord, selectionCode(candidates[i]))) continue;
+                selectedSet.add(lowerWord);
+                selectedEntries.push(listWords[candidates[i]]);
+            }
+        }
+        const source = customRng || rng;
+        rngInfo = typeof source.describe === 'function' ? source.describe() : { algorithm: 'custom', secure: false };
+    }
+
+    // Apply sort if required
+    const compareWords = (a, b) => getWordText(a).toLowerCase().localeCompare(getWordText(b).toLowerCase());
+    if (sort === 'asc') {
+        selectedEntries.sort(compareWords);
+    } else if (sort === 'desc') {
+        selectedEntries.sort((a, b) => compareWords(b, a));
+    }
+
+    // Report a short phrase; strict mode turns it into an error
+    if (selectedEntries.length < amountOfWords) {
+        let reason = `the filtered pool only has ${availableWords} ${groupWeights ? 'phonetically distinct ' : ''}words`;
+        if (attempts >= maxAttempts && selectedEntries.length < availableWords) {
+            reason = `selection stopped after maxAttempts (${maxAttempts}) draws`;
+        } else if (distanceChecked && selectedEntries.length < availableWords) {
+            reason = 'the remaining words are too similar to the selected ones (minEditDistance/substringDistinct)';
+        }
+        const message = `Only ${selectedEntries.length} of ${amountOfWords} requested words are available: ${reason}.`;
+        if (strict) {
+            throw new InsufficientWordsError(`${message} Use the explain option to see which filters removed words.`, {
+                reason: 'count',
+                requested: amountOfWords,
+                available: selectedEntries.length
+            });
+        }
+        logger.warn(message);
+    }
+
+    // Score the phrase against an attacker who knows the word list and these options
+    const entropy = calculatePoolEntropy({ weights: poolWeights, groupWeights, count: selectedEntries.length, ordered });
+    if (targetEntropyBits !== undefined) {
+        entropy.targetBits = targetEntropyBits;
+    }
+    entropy.assumptions = ['attacker knows the word list and options'];
+    if (groupWeights) {
+        entropy.assumptions.push('phoneticDistinct "selection": each word rules out the largest remaining group of sound-alike words');
+    }
+    // Rejections that depend on the words already drawn are not modelled, so the figures overestimate
+    entropy.approximate = distanceChecked;
+    if (distanceChecked) {
+        entropy.assumptions.push('minEditDistance/substringDistinct rejections are ignored; phraseBits is an upper bound');
+    }
+    if (rngInfo.algorithm === 'customShuffle') {
+        entropy.assumptions.push('customShuffle is assumed to be uniform and unpredictable');
+    }
+    if (customRng && rngInfo.secure !== true && rngInfo.seed === undefined) {
+        entropy.assumptions.push('rng is assumed to be uniform and unpredictable');
+    }
+    if (rngInfo.algorithm !== 'customShuffle' && (seed !== undefined || rngInfo.seed !== undefined)) {
+        // The seed is one of the options, so the whole phrase is known
+        entropy.phraseBits = 0;
+        entropy.assumptions.push('seeded output is fully determined by the seed');
+    }
+
+    // Strict mode: reject phrases below the required entropy
+    if (strict && strictOptions.minEntropyBits !== undefined && entropy.phraseBits < strictOptions.minEntropyBits) {
+        throw new InsufficientWordsError(
+            `The phrase has ${entropy.phraseBits.toFixed(1)} bits of entropy, below the strict minimum of ${strictOptions.minEntropyBits} bits.`,
+            { reason: 'entropy', requestedBits: strictOptions.minEntropyBits, availableBits: entropy.phraseBits }
+        );
+    }
+
+    // Apply 'reverse' if needed
+    if (reverse) {
+        selectedEntries = selectedEntries.reverse();
+    }
+
+    let selectedWords = selectedEntries.map(getWordText);
+
+    // Apply 'caseOption' if needed
+    if (caseOption === 'upper') {
+        selectedWords = selectedWords.map(word => word.toUpperCase());
+    } else if (caseOption === 'lower') {
+        selectedWords = selectedWords.map(word => word.toLowerCase());
+    } else if (caseOption === 'capitalize') {
+        selectedWords = selectedWords.map(word => word.charAt(0).toUpperCase() + word.slice(1));
+    }
+
+    // Update history to include selected words
+    selectedWords.forEach(word => history.add(word.toLowerCase()));
+
+    const metadata = {
+        rng: rngInfo,
+        phonetic: { algorithm: phoneticEncoder.name, distinct: phoneticMode },
+        entropy,
+        crackTimes: estimateCrackTimes(entropy.phraseBits, attackerModels)
+    };
+    if (distanceChecked) {
+        metadata.distance = {
+            minEditDistance: minEditDistance || 1,
+            substringDistinct: Boolean(substringDistinct),
+            minPairwiseDistance: minPairwiseDistance(selectedWords)
+        };
+    }
+    if (explainReport) {
+        metadata.explain = explainReport;
+    }
+
+    let words = selectedWords;
+
+    // Return as string if required
+    if (asString) {
+        words = selectedWords.join(', ');
+    } else if (includeMetadata) {
+        // Return as array with metadata, keeping every field of word objects
+        words = selectedWords.map((word, index) => Object.assign({}, typeof selectedEntries[index] === 'object' ? selectedEntries[index] : {}, {
+            word: word,
+            length: word.length,
+            syllables: getSyllables(selectedEntries[index]),
+            phoneticCode: phoneticEncoder.encode(word),
+            entropy: calculateEntropy(word),
+            // Add more metadata as needed
+        }));
+    } else if (includeDefinitions || includeExamples) {
+        // Return each word with only the requested dictionary data
+        words = selectedWords.map((word, index) => {
+            const item = { word };
+            if (includeDefinitions) item.definition = getField(selectedEntries[index], 'definition');
+            if (includeExamples) {
+                const examples = getField(selectedEntries[index], 'examples');
+                item.examples = typeof examples === 'string' ? [examples] : (examples || []);
+            }
+            return item;
+        });
+    }
+
+    // Return entropy and/or the filter funnel alongside the words if required
+    if (returnEntropy || explainReport) {
+        const envelope = { words };
+        if (returnEntropy) {
+            const perWord = selectedWords.map(word => ({ word, entropy: calculateEntropy(word) }));
+            envelope.entropy = {
+                perWord,
+                total: perWord.reduce((acc, item) => acc + item.entropy, 0),
+                phraseBits: entropy.phraseBits
+            };
+        }
+        if (explainReport) {
+            envelope.explain = explainReport;
+        }
+        words = envelope;
+    }
+
+    return { words, metadata };
+}
+
+/**
+ * Wraps a caller-supplied `rng` so that every index it returns is checked.
+ *
+ * @param {Object} rng - The `rng` option: an object with a `nextInt(max)` method.
+ * @returns {Object} - An RNG with the same `nextInt(max)`, throwing for out-of-range results.
+ */
+function checkedRng(rng) {
+    return {
+        nextInt: (max) => {
+            const value = rng.nextInt(max);
+            if (!Number.isInteger(value) || value < 0 || value >= max) {
+                throw new InvalidOptionError(
+                    `'rng.nextInt(${max})' returned ${String(value)}; it must return an integer from 0 to ${max - 1}.`,
+                    { option: 'rng' }
+                );
+            }
+            return value;
+        }
+    };
+}
+
+/**
+ * Returns the filtered word pool that getWords draws from: the entries of the word list that
+ * pass every filter option, including `phoneticDistinct: "pool"` and `uniquePrefixLength`,
+ * in list order. Options that only affect selection or output (e.g. `sort`, `seed`) are ignored.
+ *
+ * @param {Object} [options] - (Optional) The same options as getWords.
+ * @param {Array<string>|string} [customWordsArray] - (Optional) Custom array of words, or path of a word list file, to use instead of words.txt or words.js.
+ * @param {function} [customErrorHandler] - (Optional) Called with the WordListLoadError when the words cannot be loaded;
+ *   may return an array of words to use instead, otherwise the error is rethrown.
+ * @returns {Array<string|Object>} - The entries of the pool.
+ * @throws {WordPickerError} - InvalidOptionError or WordListLoadError.
+ */
+function getWordPool(options = {}, customWordsArray = null, customErrorHandler = null) {
+    const issues = collectOptionIssues(options);
+    if (issues.length > 0) {
+        throw createOptionsError(issues);
+    }
+    return filterWordPool(options, customWordsArray, customErrorHandler).filteredWords;
+}
+
+/**
+ * Loads the word list and applies every filter option to it.
+ *
+ * @param {Object} options - Validated options.
+ * @param {Array<string>|string} [customWordsArray] - Custom array of words, or path of a word list file.
+ * @param {function} [customErrorHandler] - Fallback for word list load errors.
+ * @returns {Object} - The sanitized `options`, the `logger`, the list (`words`), its `listData`, the list indices of
+ *   the pool (`poolIndices`) and the entries at them (`filteredWords`), the `explainReport` (if requested),
+ *   and the `phoneticEncoder`, `phoneticMode` and `calculateEntropy` helpers used after selection.
+ */
+function filterWordPool(options, customWordsArray, customErrorHandler) {
+    // Read options from a sanitized copy so a polluted Object.prototype cannot inject values
+    options = sanitizeOptions(options);
+
+    const { logger: loggerTarget, logLevel = 'debug' } = options;
+    const logger = createLogger(loggerTarget, logLevel);
+
+    // Load words from customWordsArray, a custom list file, or the bundled words.txt / words.js
+    let defaultWords = [];
+
+    try {
+        if (customWordsArray && Array.isArray(customWordsArray)) {
+            defaultWords = customWordsArray;
+            logger.debug(`Using customWordsArray with ${defaultWords.length} words.`);
+        } else {
+            defaultWords = loadWordList(typeof customWordsArray === 'string' ? customWordsArray : undefined);
+            logger.debug(`Loaded ${defaultWords.length} words.`);
+        }
+    } catch (err) {
+        if (!(err instanceof WordListLoadError) || !customErrorHandler || typeof customErrorHandler !== 'function') {
+            throw err;
+        }
+        // Let the handler supply fallback words; never continue with an empty list
+        const fallbackWords = customErrorHandler(err);
+        if (!Array.isArray(fallbackWords)) {
+            throw err;
+        }
+        logger.warn(`Error loading words: ${err.message}. Using ${fallbackWords.length} fallback words.`);
+        defaultWords = fallbackWords;
+    }
+
+    // Every entry must be a word string or an object with a 'word' string. These checks, the
+    // capabilities, lowercased words, phonetic codes and rimes are computed once per frozen list
+    const listData = getListData(defaultWords);
+    if (listData.invalidEntry !== -1) {
+        throw new InvalidOptionError(
+            `Word list entry ${listData.invalidEntry} must be a non-empty string or an object with a non-empty 'word' string.`,
+            { option: 'customWordsArray' }
+        );
+    }
+    if (listData.invalidWeight !== -1) {
+        throw new InvalidOptionError(
+            `Word list entry ${listData.invalidWeight} must have a 'weight' from 0 to ${MAX_WEIGHT}.`,
+            { option: 'customWordsArray' }
+        );
+    }
+    const { lowerWords } = listData;
+
+    // Options that need word data this source lacks fail loudly instead of filtering out every word
+    const unsupported = findUnsupportedOptions(options, listData.capabilities);
+    if (unsupported.length > 0) {
+        const names = unsupported.map(item => item.option);
+        const capabilities = Array.from(new Set(unsupported.map(item => item.capability)));
+        const message = `Unsupported for this word source: ${names.map(name => `'${name}'`).join(', ')} `
+            + `(the words carry no ${capabilities.join(', ')} data).`;
+        if (options.unsupportedOptions !== 'warn') {
+            throw new UnsupportedOptionError(message, { option: names[0], options: names, capabilities });
+        }
+        logger.warn(`${message} Ignoring ${names.length === 1 ? 'it' : 'them'}.`);
+        names.forEach(name => delete options[name]);
+    }
+
+    // Destructure options with default values
+    const {
+        lengthMin,
+        lengthMax,
+        fixLength,
+        filterStartsWith,
+        filterEndsWith,
+        excludeSubstrings,
+        blacklist,
+        whitelist,
+        languages,
+        excludeAmbiguous = false,
+        pattern,
+        phoneticDistinct = true,
+        phoneticAlgorithm = 'soundex',
+        uniquePrefixLength,
+        history = new Set(),
+        uniqueCharacters = false,
+        maxRepeatLetters,
+        allowNumbers = false,
+        allowSpecialChars = false,
+        minEntropy,
+        customEntropyCalculator,
+        syllableCount,
+        excludePartsOfSpeech,
+        includePartsOfSpeech,
+        limitSyllables,
+        excludeWordOrigins,
+        includeWordOrigins,
+        excludeProperNouns = false,
+        excludeSlang = false,
+        synonyms,
+        excludeHomonyms = false,
+        includeHomonyms = false,
+        excludeCompoundWords = false,
+        excludeAbbreviations = false,
+        onlyMonosyllabic = false,
+        onlyPolysyllabic = false,
+        limitVowels,
+        excludeSpecificVowels,
+        includeRhymeWith,
+        excludeRhymeWith,
+        rhymeLevel = 'perfect',
+        scrabbleScoreRange,
+        excludeLetters,
+        includeLetters,
+        mustContainAllLetters,
+        mustContainAnyLetters,
+        excludeWordsWithRepeatingLetters = false,
+        minConsonants,
+        minVowels,
+        validateWords,
+        customFilter,
+        explain = false
+    } = options;
+
+    // Initialize Sets for blacklist and whitelist for O(1) lookups
+    const blacklistSet = blacklist ? new Set(blacklist.map(word => word.toLowerCase())) : null;
+    const whitelistSet = whitelist ? new Set(whitelist.map(word => word.toLowerCase())) : null;
+
+    // Lowercased Set of an option's values, for case-insensitive matching against word data
+    const lowerCaseSet = (values) => new Set(values.map(value => value.toLowerCase()));
+
+    // Characters considered ambiguous
+    const ambiguousChars = /[l1I0O]/i;
+
+    // Function to calculate entropy (simple estimation based on word length and uniqueness)
+    const calculateEntropy = (word) => {
+        if (customEntropyCalculator && typeof customEntropyCalculator === 'function') {
+            return customEntropyCalculator(word);
+        }
+        // Simple entropy calculation: number of unique characters
+        const uniqueChars = new Set(word.toLowerCase()).size;
+        return uniqueChars * Math.log2(26);
+    };
+
+    // Phonetic encoder used by phoneticDistinct and the per-word metadata
+    const phoneticEncoder = createPhoneticEncoder(phoneticAlgorithm);
+    // true keeps the original pool-wide behavior
+    const phoneticMode = phoneticDistinct === true ? 'pool' : phoneticDistinct || false;
+
+    // Filter stages, in the order they are applied. Each stage is named after the option it
+    // implements and returns true to keep a word, so explain mode can attribute every rejection.
+    // Tests get the word, its lowercased form, the list entry and its index in the list.
+    const filterStages = [];
+    const addStage = (name, test) => filterStages.push({ name, test });
+
+    // Apply whitelist: if whitelist is present, only include those words
+    if (whitelistSet) {
+        addStage('whitelist', (word, lowerWord) => whitelistSet.has(lowerWord));
+    }
+
+    // Apply blacklist
+    if (blacklistSet) {
+        addStage('blacklist', (word, lowerWord) => !blacklistSet.has(lowerWord));
+    }
+
+    // Apply language filter
+    if (languages && Array.isArray(languages) && languages.length > 0) {
+        const languageSet = lowerCaseSet(languages);
+        addStage('languages', (word, lowerWord, entry) => getFieldList(entry, 'language').some(language => languageSet.has(language)));
+    }
+
+    // Apply length filters
+    if (fixLength !== undefined) {
+        addStage('fixLength', word => word.length === fixLength);
+    }
+    if (lengthMin !== undefined) {
+        addStage('lengthMin', word => word.length >= lengthMin);
+    }
+    if (lengthMax !== undefined) {
+        addStage('lengthMax', word => word.length <= lengthMax);
+    }
+
+    // Exclude words with ambiguous characters
+    if (excludeAmbiguous) {
+        addStage('excludeAmbiguous', word => !ambiguousChars.test(word));
+    }
+
+    // Apply filterStartsWith
+    if (filterStartsWith && Array.isArray(filterStartsWith) && filterStartsWith.length > 0) {
+        addStage('filterStartsWith', (word, lowerWord) => filterStartsWith.some(prefix => lowerWord.startsWith(prefix.toLowerCase())));
+    }
+
+    // Apply filterEndsWith
+    if (filterEndsWith && Array.isArray(filterEndsWith) && filterEndsWith.length > 0) {
+        addStage('filterEndsWith', (word, lowerWord) => filterEndsWith.some(suffix => lowerWord.endsWith(suffix.toLowerCase())));
+    }
+
+    // Apply excludeSubstrings
+    if (excludeSubstrings && Array.isArray(excludeSubstrings) && excludeSubstrings.length > 0) {
+        addStage('excludeSubstrings', (word, lowerWord) => !excludeSubstrings.some(sub => lowerWord.includes(sub.toLowerCase())));
+    }
+
+    // Apply pattern
+    if (pattern instanceof RegExp) {
+        addStage('pattern', word => pattern.test(word));
+    }
+
+    // Exclude words already in history to ensure uniqueness across sessions
+    addStage('history', (word, lowerWord) => !history.has(lowerWord));
+
+    // Apply uniqueCharacters
+    if (uniqueCharacters) {
+        addStage('uniqueCharacters', (word, lowerWord) => new Set(lowerWord).size === word.length);
+    }
+
+    // Apply maxRepeatLetters
+    if (maxRepeatLetters !== undefined && maxRepeatLetters > 0) {
+        addStage('maxRepeatLetters', (word, lowerWord) => {
+            const letterCounts = {};
+            for (let char of lowerWord) {
+                letterCounts[char] = (letterCounts[char] || 0) + 1;
+                if (letterCounts[char] > maxRepeatLetters) {
+                    return false;
+                }
+            }
+            return true;
+        });
+    }
+
+    // Apply allowNumbers and allowSpecialChars
+    if (!allowNumbers) {
+        addStage('allowNumbers', word => !/\d/.test(word));
+    }
+    if (!allowSpecialChars) {
+        addStage('allowSpecialChars', word => !/[^a-zA-Z]/.test(word));
+    }
+
+    // Apply syllableCount
+    if (syllableCount !== undefined && typeof syllableCount === 'number') {
+        addStage('syllableCount', (word, lowerWord, entry) => getSyllables(entry) === syllableCount);
+    }
+
+    // Apply excludePartsOfSpeech
+    if (excludePartsOfSpeech && Array.isArray(excludePartsOfSpeech) && excludePartsOfSpeech.length > 0) {
+        const excluded = lowerCaseSet(excludePartsOfSpeech);
+        addStage('excludePartsOfSpeech', (word, lowerWord, entry) => !getFieldList(entry, 'partOfSpeech').some(pos => excluded.has(pos)));
+    }
+
+    // Apply includePartsOfSpeech
+    if (includePartsOfSpeech && Array.isArray(includePartsOfSpeech) && includePartsOfSpeech.length > 0) {
+        const included = lowerCaseSet(includePartsOfSpeech);
+        addStage('includePartsOfSpeech', (word, lowerWord, entry) => getFieldList(entry, 'partOfSpeech').some(pos => included.has(pos)));
+    }
+
+    // Apply limitSyllables
+    if (limitSyllables !== undefined && typeof limitSyllables === 'number') {
+        addStage('limitSyllables', (word, lowerWord, entry) => getSyllables(entry) <= limitSyllables);
+    }
+
+    // Apply excludeWordOrigins
+    if (excludeWordOrigins && Array.isArray(excludeWordOrigins) && excludeWordOrigins.length > 0) {
+        const excluded = lowerCaseSet(excludeWordOrigins);
+        addStage('excludeWordOrigins', (word, lowerWord, entry) => !getFieldList(entry, 'origin').some(origin => excluded.has(origin)));
+    }
+
+    // Apply includeWordOrigins
+    if (includeWordOrigins && Array.isArray(includeWordOrigins) && includeWordOrigins.length > 0) {
+        const included = lowerCaseSet(includeWordOrigins);
+        addStage('includeWordOrigins', (word, lowerWord, entry) => getFieldList(entry, 'origin').some(origin => included.has(origin)));
+    }
+
+    // Apply excludeProperNouns: tagged "proper-noun" or with a "proper noun" part of speech
+    if (excludeProperNouns) {
+        addStage('excludeProperNouns', (word, lowerWord, entry) => !hasTag(entry, 'proper-noun')
+            && !getFieldList(entry, 'partOfSpeech').some(pos => pos === 'proper noun' || pos === 'proper-noun'));
+    }
+
+    // Apply excludeSlang
+    if (excludeSlang) {
+        addStage('excludeSlang', (word, lowerWord, entry) => !hasTag(entry, 'slang'));
+    }
+
+    // Apply synonyms: keep words listed as a synonym of any of the given words
+    if (synonyms && Array.isArray(synonyms) && synonyms.length > 0) {
+        const synonymSet = lowerCaseSet(synonyms);
+        addStage('synonyms', (word, lowerWord, entry) => getFieldList(entry, 'synonyms').some(synonym => synonymSet.has(synonym)));
+    }
+
+    // Apply excludeHomonyms
+    if (excludeHomonyms) {
+        addStage('excludeHomonyms', (word, lowerWord, entry) => !hasTag(entry, 'homonym'));
+    }
+
+    // Apply includeHomonyms
+    if (includeHomonyms) {
+        addStage('includeHomonyms', (word, lowerWord, entry) => hasTag(entry, 'homonym'));
+    }
+
+    // Apply excludeCompoundWords
+    if (excludeCompoundWords) {
+        addStage('excludeCompoundWords', (word, lowerWord, entry) => !hasTag(entry, 'compound'));
+    }
+
+    // Apply excludeAbbreviations
+    if (excludeAbbreviations) {
+        addStage('excludeAbbreviations', (word, lowerWord, entry) => !hasTag(entry, 'abbreviation'));
+    }
+
+    // Apply onlyMonosyllabic
+    if (onlyMonosyllabic) {
+        addStage('onlyMonosyllabic', (word, lowerWord, entry) => getSyllables(entry) === 1);
+    }
+
+    // Apply onlyPolysyllabic
+    if (onlyPolysyllabic) {
+        addStage('onlyPolysyllabic', (word, lowerWord, entry) => getSyllables(entry) >= 2);
+    }
+
+    // Apply limitVowels
+    if (limitVowels && Array.isArray(limitVowels) && limitVowels.length > 0) {
+        addStage('limitVowels', (word, lowerWord) => limitVowels.some(vowel => lowerWord.includes(vowel.toLowerCase())));
+    }
+
+    // Apply excludeSpecificVowels
+    if (excludeSpecificVowels && Array.isArray(excludeSpecificVowels) && excludeSpecificVowels.length > 0) {
+        addStage('excludeSpecificVowels', (word, lowerWord) => !excludeSpecificVowels.some(vowel => lowerWord.includes(vowel.toLowerCase())));
+    }
+
+    // Apply includeRhymeWith
+    if (includeRhymeWith && typeof includeRhymeWith === 'string') {
+        // Rhymes are compared by sound from the last stressed vowel on; the word itself is not a rhyme
+        const target = includeRhymeWith.toLowerCase();
+        const targetRime = getRime(target);
+        addStage('includeRhymeWith', (word, lowerWord, entry, index) => lowerWord !== target
+            && rimesMatch(targetRime, listData.rime(index), rhymeLevel));
+    }
+
+    // Apply excludeRhymeWith
+    if (excludeRhymeWith && typeof excludeRhymeWith === 'string') {
+        const targetRime = getRime(excludeRhymeWith);
+        addStage('excludeRhymeWith', (word, lowerWord, entry, index) => !rimesMatch(targetRime, listData.rime(index), rhymeLevel));
+    }
+
+    // Apply scrabbleScoreRange
+    if (scrabbleScoreRange && Array.isArray(scrabbleScoreRange) && scrabbleScoreRange.length === 2) {
+        const [minScore, maxScore] = scrabbleScoreRange;
+        addStage('scrabbleScoreRange', word => {
+            const scrabbleScore = calculateScrabbleScore(word);
+            return scrabbleScore >= minScore && scrabbleScore <= maxScore;
+        });
+    }
+
+    // Apply excludeLetters
+    if (excludeLetters && Array.isArray(excludeLetters) && excludeLetters.length > 0) {
+        addStage('excludeLetters', (word, lowerWord) => !excludeLetters.some(letter => lowerWord.includes(letter.toLowerCase())));
+    }
+
+    // Apply includeLetters
+    if (includeLetters && Array.isArray(includeLetters) && includeLetters.length > 0) {
+        addStage('includeLetters', (word, lowerWord) => includeLetters.some(letter => lowerWord.includes(letter.toLowerCase())));
+    }
+
+    // Apply mustContainAllLetters
+    if (mustContainAllLetters && Array.isArray(mustContainAllLetters) && mustContainAllLetters.length > 0) {
+        addStage('mustContainAllLetters', (word, lowerWord) => mustContainAllLetters.every(letter => lowerWord.includes(letter.toLowerCase())));
+    }
+
+    // Apply mustContainAnyLetters
+    if (mustContainAnyLetters && Array.isArray(mustContainAnyLetters) && mustContainAnyLetters.length > 0) {
+        addStage('mustContainAnyLetters', (word, lowerWord) => mustContainAnyLetters.some(letter => lowerWord.includes(letter.toLowerCase())));
+    }
+
+    // Apply excludeWordsWithRepeatingLetters
+    if (excludeWordsWithRepeatingLetters) {
+        addStage('excludeWordsWithRepeatingLetters', (word, lowerWord) => new Set(lowerWord).size === lowerWord.length);
+    }
+
+    // Apply minConsonants
+    if (minConsonants !== undefined && typeof minConsonants === 'number') {
+        addStage('minConsonants', (word, lowerWord) => lowerWord.replace(/[aeiou]/g, '').length >= minConsonants);
+    }
+
+    // Apply minVowels
+    if (minVowels !== undefined && typeof minVowels === 'number') {
+        addStage('minVowels', (word, lowerWord) => (lowerWord.match(/[aeiou]/g) || []).length >= minVowels);
+    }
+
+    // Apply minEntropy using the same calculator as the reported per-word entropy
+    if (minEntropy !== undefined && typeof minEntropy === 'number') {
+        addStage('minEntropy', word => calculateEntropy(word) >= minEntropy);
+    }
+
+    // Apply validateWords
+    if (validateWords && typeof validateWords === 'function') {
+        addStage('validateWords', (word, lowerWord, entry) => Boolean(validateWords(word, entry)));
+    }
+
+    // Apply customFilter
+    if (customFilter && typeof customFilter === 'function') {
+        addStage('customFilter', (word, lowerWord, entry) => Boolean(customFilter(word, entry)));
+    }
+
+    // Index of the first stage that rejects the entry at a list index, or -1 if all filters pass
+    const findRejectingStage = (index) => {
+        const entry = defaultWords[index];
+        const word = getWordText(entry);
+        const lowerWord = lowerWords[index];
+        return filterStages.findIndex(stage => !stage.test(word, lowerWord, entry, index));
+    };
+
+    // Start filtering, counting how many words each stage removes. The pool is kept as list
+    // indices so the derived data of the list can be looked up
+    const removedByStage = filterStages.map(() => 0);
+    let poolIndices = [];
+    for (let index = 0; index < defaultWords.length; index++) {
+        const rejectingStage = findRejectingStage(index);
+        if (rejectingStage === -1) {
+            poolIndices.push(index);
+        } else {
+            removedByStage[rejectingStage]++;
+        }
+    }
+
+    // Apply pool-wide phonetic distinctness: keep the first word for every phonetic code.
+    // Words without a code (no letters) cannot be compared and are all kept.
+    const phoneticMap = new Map();
+    let removedByPhonetic = 0;
+    if (phoneticMode === 'pool') {
+        poolIndices = poolIndices.filter(index => {
+            const code = listData.phoneticCode(index, phoneticEncoder);
+            if (code === '') return true;
+            if (phoneticMap.has(code)) {
+                removedByPhonetic++;
+                return false;
+            }
+            phoneticMap.set(code, getWordText(defaultWords[index]));
+            return true;
+        });
+    }
+
+    // Apply uniquePrefixLength: keep the first word for every prefix, so each word of the pool
+    // can be entered as its first letters (as deriveUniquePrefixSet does)
+    const prefixMap = new Map();
+    let removedByPrefix = 0;
+    if (uniquePrefixLength !== undefined) {
+        poolIndices = poolIndices.filter(index => {
+            const key = getPrefixKey(lowerWords[index], uniquePrefixLength);
+            if (prefixMap.has(key)) {
+                removedByPrefix++;
+                return false;
+            }
+            prefixMap.set(key, getWordText(defaultWords[index]));
+            return true;
+        });
+    }
+    const filteredWords = poolIndices.map(index => defaultWords[index]);
+
+    // Find the first filter that rejected a specific word of the list
+    const explainWord = (target) => {
+        const listedIndex = lowerWords.indexOf(target.toLowerCase());
+        if (listedIndex === -1) {
+            return { word: target, inList: false, rejectedBy: null };
+        }
+        const listedWord = getWordText(defaultWords[listedIndex]);
+        const rejectingStage = findRejectingStage(listedIndex);
+        if (rejectingStage !== -1) {
+            return { word: listedWord, inList: true, rejectedBy: filterStages[rejectingStage].name };
+        }
+        const code = phoneticMode === 'pool' ? listData.phoneticCode(listedIndex, phoneticEncoder) : '';
+        const keptForCode = phoneticMap.has(code) ? phoneticMap.get(code) : listedWord;
+        if (keptForCode !== listedWord) {
+            return { word: listedWord, inList: true, rejectedBy: 'phoneticDistinct', conflictsWith: keptForCode };
+        }
+        if (uniquePrefixLength !== undefined) {
+            const keptForPrefix = prefixMap.get(getPrefixKey(listedWord, uniquePrefixLength));
+            if (keptForPrefix !== listedWord) {
+                return { word: listedWord, inList: true, rejectedBy: 'uniquePrefixLength', conflictsWith: keptForPrefix };
+            }
+        }
+        return { word: listedWord, inList: true, rejectedBy: null };
+    };
+
+    // Build the filter funnel for explain mode
+    let explainReport;
+    if (explain) {
+        let remaining = defaultWords.length;
+        const stages = filterStages.map((stage, index) => {
+            remaining -= removedByStage[index];
+            return { name: stage.name, removed: removedByStage[index], remaining };
+        });
+        if (phoneticMode === 'pool') {
+            remaining -= removedByPhonetic;
+            stages.push({ name: 'phoneticDistinct', removed: removedByPhonetic, remaining });
+        }
+        if (uniquePrefixLength !== undefined) {
+            remaining -= removedByPrefix;
+            stages.push({ name: 'uniquePrefixLength', removed: removedByPrefix, remaining });
+        }
+        explainReport = { initial: defaultWords.length, stages, final: remaining };
+
+        // Report the first filter that rejected a specific word
+        if (typeof explain === 'object' && typeof explain.word === 'string') {
+            explainReport.word = explainWord(explain.word);
+        }
+    }
+
+    return { options, logger, words: defaultWords, listData, poolIndices, filteredWords, explainReport, phoneticEncoder, phoneticMode, calculateEntropy };
+}
+
+// Helper function to calculate Scrabble score
+function calculateScrabbleScore(word) {
+    const scores = {
+        a: 1, b: 3, c: 3, d: 2, e: 1, f: 4, g: 2, h: 4, i: 1,
+        j: 8, k: 5, l: 1, m: 3, n: 1, o: 1, p: 3, q: 10,
+        r: 1, s: 1, t: 1, u: 1, v: 4, w: 4, x: 8, y: 4,
+        z: 10
+    };
+    return word.toLowerCase().split('').reduce((acc, char) => acc + (scores[char] || 0), 0);
+}
+
+module.exports = { getWordPool, getWords, getWordsDetailed };
@@ -0,0 +1,215 @@
+// /word-picker/lib/diceware.js
+
+const fs = require('fs');
+const path = require('path');
+const { InvalidOptionError, WordListLoadError } = require('./errors');
+const { getWordText } = require('./entries');
+
+// Faces of a standard die
+const DIE_FACES = 6;
+
+// A dice-indexed line: the rolls, whitespace, then the word (e.g. "11111\tabacus")
+const DICE_LINE = /^([1-6]+)\s+(\S.*)$/;
+
+/**
+ * Returns the dice rolls that select a position of a dice-indexed list.
+ *
+ * @param {number} index - Position in the list (0 for "11111").
+ * @param {number} rollsPerWord - Number of rolls per word.
+ * @returns {string} - One digit from 1 to 6 per roll, most significant first.
+ */
+function indexToRolls(index, rollsPerWord) {
+    return Array.from(index.toString(DIE_FACES).padStart(rollsPerWord, '0'), digit => Number(digit) + 1).join('');
+}
+
+/**
+ * Returns the position of a list entry selected by some dice rolls.
+ *
+ * @param {string} rolls - One digit from 1 to 6 per roll.
+ * @returns {number} - Position in the list.
+ */
+function rollsToIndex(rolls) {
+    return Array.from(rolls).reduce((index, roll) => index * DIE_FACES + (Number(roll) - 1), 0);
+}
+
+/**
+ * Parses a dice-indexed word list in the EFF format: one "<rolls><whitespace><word>" line per
+ * word, e.g. "11111\tabacus". Blank lines and lines starting with "#" are ignored. Every entry
+ * must use the same number of rolls, and every roll combination must appear exactly once.
+ *
+ * @param {string} text - Contents of the list.
+ * @param {string} [source] - (Optional) Path or description of the list, used in error messages.
+ * @returns {{rollsPerWord: number, words: Array<string>}} - The rolls per word, and the words ordered by their rolls
+ *   ("11111" first).
+ * @throws {WordListLoadError} - If a line is malformed or roll combinations are missing or repeated.
+ */
+function parseDicewareList(text, source = 'the list') {
+    let rollsPerWord = 0;
+    const words = [];
+    let count = 0;
+
+    text.split(/\r?\n/).forEach((rawLine, lineIndex) => {
+        const line = rawLine.trim();
+        if (line.length === 0 || line.startsWith('#')) return;
+        const match = DICE_LINE.exec(line);
+        if (!match) {
+            throw new WordListLoadError(`Line ${lineIndex + 1} of ${source} is not a "<dice rolls> <word>" entry.`, { source });
+        }
+        const rolls = match[1];
+        if (rollsPerWord === 0) {
+            rollsPerWord = rolls.length;
+        } else if (rolls.length !== rollsPerWord) {
+            throw new WordListLoadError(
+                `Line ${lineIndex + 1} of ${source} has ${rolls.length} dice rolls; expected ${rollsPerWord}.`,
+                { source }
+            );
+        }
+        const index = rollsToIndex(rolls);
+        if (words[index] !== undefined) {
+            throw new WordListLoadError(`Line ${lineIndex + 1} of ${source} repeats the rolls ${rolls}.`, { source });
+        }
+        words[index] = match[2].trim();
+        count++;
+    });
+
+    const expected = Math.pow(DIE_FACES, rollsPerWord);
+    if (count === 0 || count !== expected) {
+        throw new WordListLoadError(
+            `${source} has ${count} entries; a list indexed by ${rollsPerWord} dice rolls needs ${expected}.`,
+            { source }
+        );
+    }
+    return { rollsPerWord, words };
+}
+
+/**
+ * Reads and parses a dice-indexed word list file (see parseDicewareList).
+ *
+ * @param {string} source - Path of the list, e.g. the EFF large word list.
+ * @returns {{rollsPerWord: number, words: Array<string>}} - The parsed list.
+ * @throws {WordListLoadError} - If the file cannot be read or is not a valid dice-indexed list.
+ */
+function loadDicewareList(source) {
+    if (typeof source !== 'string' || source.length === 0) {
+        throw new InvalidOptionError('A diceware list source must be a file path.', { option: 'source' });
+    }
+    const filePath = path.resolve(source);
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (err) {
+        throw new WordListLoadError(`Error loading diceware list from ${filePath}: ${err.message}`, { source: filePath, cause: err });
+    }
+    return parseDicewareList(text, filePath);
+}
+
+/**
+ * Turns physical d6 rolls into words of a dice-indexed list, one word per group of
+ * `rollsPerWord` rolls. No software random number generator is involved.
+ *
+ * @param {string|Array<number>} rolls - The rolls in the order they were thrown: an array of numbers, or a string of
+ *   digits from 1 to 6 (spaces, commas and dashes between them are ignored).
+ * @param {string|Object} list - Path of a dice-indexed list, or a list returned by loadDicewareList or exportDicewareList.
+ * @returns {Array<string>} - One word per group of rolls.
+ * @throws {WordPickerError} - InvalidOptionError for invalid rolls, WordListLoadError if the list cannot be loaded.
+ */
+function wordsFromDiceRolls(rolls, list) {
+    const { rollsPerWord, words } = typeof list === 'string' ? loadDicewareList(list) : list || {};
+    if (!Number.isInteger(rollsPerWord) || !Array.isArray(words) || words.length !== Math.pow(DIE_FACES, rollsPerWord)) {
+        throw new InvalidOptionError('The diceware list must be a file path or a { rollsPerWord, words } list.', { option: 'list' });
+    }
+
+    let digits;
+    if (Array.isArray(rolls)) {
+        digits = rolls.map(String);
+    } else if (typeof rolls === 'string' && /^[\d\s,-]*$/.test(rolls)) {
+        digits = Array.from(rolls.replace(/[\s,-]/g, ''));
+    } else {
+        throw new InvalidOptionError("'rolls' must be a string of digits or an array of numbers.", { option: 'rolls' });
+    }
+    const invalidRoll = digits.findIndex(digit => !/^[1-6]$/.test(digit));
+    if (invalidRoll !== -1) {
+        throw new InvalidOptionError(`Roll ${invalidRoll + 1} ('${digits[invalidRoll]}') is not a number from 1 to 6.`, { option: 'rolls' });
+    }
+    if (digits.length === 0 || digits.length % rollsPerWord !== 0) {
+        throw new InvalidOptionError(
+            `Got ${digits.length} rolls; each word needs ${rollsPerWord}, so the count must be a positive multiple of ${rollsPerWord}.`,
+            { option: 'rolls' }
+        );
+    }
+
+    const result = [];
+    for (let offset = 0; offset < digits.length; offset += rollsPerWord) {
+        result.push(words[rollsToIndex(digits.slice(offset, offset + rollsPerWord).join(''))]);
+    }
+    return result;
+}
+
+/**
+ * Builds a dice-indexed list from any word pool, e.g. one returned by getWordPool. The list has
+ * exactly 6^rollsPerWord entries: a larger pool is trimmed to its first entries, and a smaller
+ * one is padded by repeating its words from the start. Padding makes some words more likely
+ * than others, which `bitsPerWord` accounts for.
+ *
+ * @param {Array<string|Object>} pool - Words or word objects; duplicates (ignoring case) are dropped.
+ * @param {number} [rollsPerWord] - (Optional) Rolls per word. Defaults to the most rolls the pool can fill
+ *   without padding; at most the fewest rolls that give every word a slot.
+ * @returns {{rollsPerWord: number, words: Array<string>, trimmed: number, padded: number, bitsPerWord: number, text: string}}
+ *   - The list (as for loadDicewareList), how many pool words were dropped or repeated, the min-entropy of one word,
+ *   and the list in the EFF format.
+ * @throws {InvalidOptionError} - If the pool is empty or rollsPerWord is not an integer from 1 to that maximum.
+ */
+function exportDicewareList(pool, rollsPerWord) {
+    const seen = new Set();
+    const distinctWords = (Array.isArray(pool) ? pool : []).map(getWordText).filter(word => {
+        const lowerWord = word.toLowerCase();
+        if (seen.has(lowerWord)) return false;
+        seen.add(lowerWord);
+        return true;
+    });
+    if (distinctWords.length === 0) {
+        throw new InvalidOptionError('Cannot build a diceware list from an empty pool.', { option: 'pool' });
+    }
+
+    if (rollsPerWord === undefined) {
+        rollsPerWord = Math.max(1, Math.floor(Math.log(distinctWords.length) / Math.log(DIE_FACES) + 1e-9));
+    }
+    // More rolls than it takes to give every word a slot would only add padding
+    let maxRolls = 1;
+    while (Math.pow(DIE_FACES, maxRolls) < distinctWords.length) {
+        maxRolls++;
+    }
+    if (!Number.isInteger(rollsPerWord) || rollsPerWord < 1 || rollsPerWord > maxRolls) {
+        throw new InvalidOptionError(
+            `'rollsPerWord' must be an integer from 1 to ${maxRolls} for a pool of ${distinctWords.length} words.`,
+            { option: 'rollsPerWord' }
+        );
+    }
+
+    const size = Math.pow(DIE_FACES, rollsPerWord);
+    const words = [];
+    for (let i = 0; i < size; i++) {
+        words.push(distinctWords[i % distinctWords.length]);
+    }
+
+    // With padding, the first words of the pool fill the most slots
+    const mostSlots = Math.ceil(size / distinctWords.length);
+    const bitsPerWord = -Math.log2(Math.min(mostSlots, size) / size);
+    const text = words.map((word, index) => `${indexToRolls(index, rollsPerWord)}\t${word}`).join('\n') + '\n';
+
+    return {
+        rollsPerWord,
+        words,
+        trimmed: Math.max(0, distinctWords.length - size),
+        padded: Math.max(0, size - distinctWords.length),
+        bitsPerWord,
+        text
+    };
+}
+
+module.exports = {
+    exportDicewareList,
+    loadDicewareList,
+    parseDicewareList,
+    wordsFromDiceRolls
+};
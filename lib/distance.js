@@ -0,0 +1,76 @@
+// /word-picker/lib/distance.js
+
+/**
+ * Computes the Damerau-Levenshtein distance between two strings: the smallest number of
+ * insertions, deletions, substitutions and transpositions of two adjacent characters that
+ * turns one into the other ("form" and "from" are 1 apart). Unlike the restricted
+ * "optimal string alignment" variant, a transposed pair may be edited again, so the
+ * distance satisfies the triangle inequality.
+ *
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {number} - Number of edits between them.
+ */
+function damerauLevenshtein(a, b) {
+    const maxDistance = a.length + b.length;
+    // Row of the last occurrence of each character of `a` seen so far
+    const lastRowOf = new Map();
+
+    // Matrix with an extra border row and column holding maxDistance
+    const rows = [];
+    for (let i = 0; i <= a.length + 1; i++) {
+        rows.push(new Array(b.length + 2).fill(0));
+    }
+    rows[0][0] = maxDistance;
+    for (let i = 0; i <= a.length; i++) {
+        rows[i + 1][0] = maxDistance;
+        rows[i + 1][1] = i;
+    }
+    for (let j = 0; j <= b.length; j++) {
+        rows[0][j + 1] = maxDistance;
+        rows[1][j + 1] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        // Column of the last match for a[i - 1] in this row
+        let lastMatchColumn = 0;
+        for (let j = 1; j <= b.length; j++) {
+            const k = lastRowOf.get(b[j - 1]) || 0;
+            const l = lastMatchColumn;
+            let cost = 1;
+            if (a[i - 1] === b[j - 1]) {
+                cost = 0;
+                lastMatchColumn = j;
+            }
+            rows[i + 1][j + 1] = Math.min(
+                rows[i][j] + cost,
+                rows[i + 1][j] + 1,
+                rows[i][j + 1] + 1,
+                rows[k][l] + (i - k - 1) + 1 + (j - l - 1)
+            );
+        }
+        lastRowOf.set(a[i - 1], i);
+    }
+    return rows[a.length + 1][b.length + 1];
+}
+
+/**
+ * Finds the smallest Damerau-Levenshtein distance between any two words of a list,
+ * ignoring case.
+ *
+ * @param {Array<string>} words - Words to compare.
+ * @returns {number|null} - The smallest distance, or null for fewer than two words.
+ */
+function minPairwiseDistance(words) {
+    const lowerWords = words.map(word => word.toLowerCase());
+    let min = null;
+    for (let i = 0; i < lowerWords.length; i++) {
+        for (let j = i + 1; j < lowerWords.length; j++) {
+            const distance = damerauLevenshtein(lowerWords[i], lowerWords[j]);
+            if (min === null || distance < min) min = distance;
+        }
+    }
+    return min;
+}
+
+module.exports = { damerauLevenshtein, minPairwiseDistance };
@@ -0,0 +1,104 @@
+// /word-picker/lib/entries.js
+
+const { countSyllables } = require('./syllables');
+
+// Largest selection weight a word may have, from its `weight` field or from weightedSelection
+const MAX_WEIGHT = 1e6;
+
+/**
+ * Word lists may mix plain strings and word objects such as
+ * `{ word, language, partOfSpeech, syllables, origin, tags, frequency, synonyms, definition, examples }`.
+ * These helpers read an entry the same way whichever form it has.
+ */
+
+/**
+ * Checks whether a value can be used as a word list entry.
+ *
+ * @param {*} entry - A list entry.
+ * @returns {boolean} - True for non-empty strings and objects with a non-empty string `word`.
+ */
+function isWordEntry(entry) {
+    if (typeof entry === 'string') return entry.length > 0;
+    return entry !== null && typeof entry === 'object' && typeof entry.word === 'string' && entry.word.length > 0;
+}
+
+/**
+ * Checks whether an entry's `weight` field, if it has one, is a usable selection weight.
+ *
+ * @param {string|Object} entry - A list entry.
+ * @returns {boolean} - True for strings, entries without a weight, and weights from 0 to MAX_WEIGHT.
+ */
+function hasValidWeight(entry) {
+    const weight = getField(entry, 'weight');
+    return weight === undefined || (typeof weight === 'number' && weight >= 0 && weight <= MAX_WEIGHT);
+}
+
+/**
+ * Returns the spelling of an entry.
+ *
+ * @param {string|Object} entry - A list entry.
+ * @returns {string} - The word itself.
+ */
+function getWordText(entry) {
+    return typeof entry === 'string' ? entry : entry.word;
+}
+
+/**
+ * Reads a field of a word object.
+ *
+ * @param {string|Object} entry - A list entry.
+ * @param {string} field - Field name.
+ * @returns {*} - The field value, or undefined for plain strings and missing fields.
+ */
+function getField(entry, field) {
+    if (typeof entry === 'string' || !Object.prototype.hasOwnProperty.call(entry, field)) return undefined;
+    return entry[field];
+}
+
+/**
+ * Reads a field that may hold one string or an array of strings, lowercased.
+ *
+ * @param {string|Object} entry - A list entry.
+ * @param {string} field - Field name (e.g. "partOfSpeech" or "tags").
+ * @returns {Array<string>} - The values, empty if the field is missing.
+ */
+function getFieldList(entry, field) {
+    const value = getField(entry, field);
+    if (typeof value === 'string') return [value.toLowerCase()];
+    if (Array.isArray(value)) return value.filter(item => typeof item === 'string').map(item => item.toLowerCase());
+    return [];
+}
+
+/**
+ * Checks whether a word object is tagged with a label, e.g. "slang" or "proper-noun".
+ *
+ * @param {string|Object} entry - A list entry.
+ * @param {string} tag - Lowercase tag.
+ * @returns {boolean} - True if `tags` contains the tag.
+ */
+function hasTag(entry, tag) {
+    return getFieldList(entry, 'tags').includes(tag);
+}
+
+/**
+ * Returns the syllable count of an entry: the `syllables` field of a word object when it is
+ * an integer, otherwise an estimate from the spelling.
+ *
+ * @param {string|Object} entry - A list entry.
+ * @returns {number} - Number of syllables.
+ */
+function getSyllables(entry) {
+    const syllables = getField(entry, 'syllables');
+    return Number.isInteger(syllables) ? syllables : countSyllables(getWordText(entry));
+}
+
+module.exports = {
+    MAX_WEIGHT,
+    getField,
+    getFieldList,
+    getSyllables,
+    getWordText,
+    hasTag,
+    hasValidWeight,
+    isWordEntry
+};
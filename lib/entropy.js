@@ -0,0 +1,180 @@
+// /word-picker/lib/entropy.js
+
+/**
+ * Guesses per second for common attacker models, roughly following zxcvbn's scenarios:
+ * a rate-limited login form, an unthrottled online service, and offline attacks against
+ * a slow (bcrypt/scrypt/argon2) and a fast (unsalted SHA-1/MD5) password hash.
+ */
+const DEFAULT_ATTACKER_MODELS = {
+    onlineThrottled: 100 / 3600,
+    onlineUnthrottled: 10,
+    offlineSlowHash: 1e4,
+    offlineFastHash: 1e10
+};
+
+// Time units used to format crack times, largest first
+const TIME_UNITS = [
+    ['century', 100 * 365.25 * 24 * 3600],
+    ['year', 365.25 * 24 * 3600],
+    ['month', 30.44 * 24 * 3600],
+    ['day', 24 * 3600],
+    ['hour', 3600],
+    ['minute', 60],
+    ['second', 1]
+];
+
+/**
+ * Returns log2(n!) without overflowing for large n.
+ *
+ * @param {number} n - A non-negative integer.
+ * @returns {number} - The base-2 logarithm of n factorial.
+ */
+function log2Factorial(n) {
+    let bits = 0;
+    for (let i = 2; i <= n; i++) {
+        bits += Math.log2(i);
+    }
+    return bits;
+}
+
+/**
+ * Returns the bits of entropy contributed by each successive draw from a pool.
+ *
+ * Words are drawn without replacement, each with a probability proportional to its weight.
+ * Every draw is scored with the min-entropy an attacker guessing the most likely phrase first
+ * faces: the heaviest words are assumed to go first, and each draw contributes
+ * log2(remaining weight / weight of the word drawn). For a uniform pool this is exactly
+ * log2 of the number of words left. With `groupWeights`, each draw also rules out every word
+ * that sounds like it; the largest remaining group is assumed to go first, and the heaviest
+ * word of the whole pool bounds the probability of every draw.
+ *
+ * @param {Object} params - Pool description.
+ * @param {Array<number>} params.weights - Relative weight of every distinct word in the pool.
+ * @param {Array<number>} [params.groupWeights] - (Optional) Total weight of every group of words that
+ *   cannot appear together in a phrase.
+ * @param {number} count - Number of draws.
+ * @returns {Array<number>} - Bits per draw; shorter than `count` when the pool runs out.
+ */
+function drawBits({ weights, groupWeights }, count) {
+    const totalWeight = weights.reduce((acc, weight) => acc + weight, 0);
+    const maxWeight = weights.reduce((acc, weight) => Math.max(acc, weight), 0);
+    const bits = [];
+
+    // Every word is its own group unless groups are given
+    const largestFirst = (groupWeights || weights).slice().sort((a, b) => b - a);
+    let remainingWeight = totalWeight;
+    for (let i = 0; i < count && i < largestFirst.length; i++) {
+        const drawnWeight = groupWeights ? maxWeight : largestFirst[i];
+        bits.push(Math.max(0, Math.log2(remainingWeight / drawnWeight)));
+        remainingWeight -= largestFirst[i];
+    }
+    return bits;
+}
+
+/**
+ * Calculates how many bits of entropy a phrase drawn from a word pool carries, assuming
+ * the attacker knows the word list and every option used to filter it.
+ *
+ * Pools are scored for drawing without replacement: exactly for uniform pools, and with the
+ * min-entropy of the most likely phrase for weighted ones (see drawBits). When words that
+ * sound alike cannot share a phrase, `groupWeights` gives a conservative figure.
+ *
+ * @param {Object} params - Pool description.
+ * @param {Array<number>} params.weights - Relative weight of every distinct word in the pool.
+ * @param {Array<number>} [params.groupWeights] - (Optional) Total weight of every group of words that
+ *   cannot appear together in a phrase.
+ * @param {number} params.count - Number of words in the phrase.
+ * @param {boolean} [params.ordered=true] - False if the phrase order is not random (e.g. sorted output).
+ * @returns {{poolSize: number, perWordBits: number, phraseBits: number, weighted: boolean}} - Entropy figures.
+ */
+function calculatePoolEntropy({ weights, groupWeights, count, ordered = true }) {
+    const poolSize = weights.length;
+    if (poolSize === 0 || count <= 0) {
+        return { poolSize, perWordBits: 0, phraseBits: 0, weighted: false };
+    }
+
+    const maxWeight = weights.reduce((acc, weight) => Math.max(acc, weight), 0);
+    const weighted = weights.some(weight => weight !== maxWeight);
+    const bits = drawBits({ weights, groupWeights }, count);
+    const perWordBits = bits[0];
+    let phraseBits = bits.reduce((acc, value) => acc + value, 0);
+
+    // An unordered phrase cannot be told apart from its count! permutations
+    if (!ordered) {
+        phraseBits = Math.max(0, phraseBits - log2Factorial(count));
+    }
+
+    return { poolSize, perWordBits, phraseBits, weighted };
+}
+
+/**
+ * Finds the smallest number of words whose phrase reaches the target entropy.
+ *
+ * @param {Object} params - Pool description.
+ * @param {Array<number>} params.weights - Relative weight of every distinct word in the pool.
+ * @param {Array<number>} [params.groupWeights] - (Optional) Total weight of every group of words that
+ *   cannot appear together in a phrase.
+ * @param {number} params.targetBits - Required phrase entropy in bits.
+ * @param {boolean} [params.ordered=true] - False if the phrase order is not random (e.g. sorted output).
+ * @returns {number|null} - The word count, or null if the pool can never reach the target.
+ */
+function wordsForTargetEntropy({ weights, groupWeights, targetBits, ordered = true }) {
+    if (weights.length === 0) return null;
+
+    // Same scoring as calculatePoolEntropy, accumulated one word at a time
+    const bits = drawBits({ weights, groupWeights }, weights.length);
+    let phraseBits = 0;
+    for (let count = 1; count <= bits.length; count++) {
+        phraseBits += bits[count - 1];
+        if (!ordered) {
+            phraseBits -= Math.log2(count);
+        }
+        if (phraseBits >= targetBits) return count;
+    }
+    return null;
+}
+
+/**
+ * Formats a duration in seconds as a short human readable string.
+ *
+ * @param {number} seconds - Duration in seconds.
+ * @returns {string} - E.g. "less than a second", "3 hours" or "centuries".
+ */
+function formatDuration(seconds) {
+    if (seconds < 1) return 'less than a second';
+    if (seconds >= TIME_UNITS[0][1]) return 'centuries';
+    for (const [unit, unitSeconds] of TIME_UNITS) {
+        if (seconds >= unitSeconds) {
+            const amount = Math.round(seconds / unitSeconds);
+            return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+        }
+    }
+    return 'less than a second';
+}
+
+/**
+ * Estimates the average time needed to guess a secret of the given entropy.
+ *
+ * @param {number} bits - Entropy of the secret in bits.
+ * @param {Object<string, number>} [attackerModels=DEFAULT_ATTACKER_MODELS] - Map of model name to guesses per second.
+ * @returns {Object<string, {guessesPerSecond: number, seconds: number, display: string}>} - Crack time per model.
+ */
+function estimateCrackTimes(bits, attackerModels = DEFAULT_ATTACKER_MODELS) {
+    // On average the attacker searches half of the space before succeeding
+    const averageGuesses = bits > 0 ? Math.pow(2, bits - 1) : 1;
+    const crackTimes = {};
+    Object.keys(attackerModels).forEach(name => {
+        const guessesPerSecond = attackerModels[name];
+        const seconds = averageGuesses / guessesPerSecond;
+        crackTimes[name] = { guessesPerSecond, seconds, display: formatDuration(seconds) };
+    });
+    return crackTimes;
+}
+
+module.exports = {
+    DEFAULT_ATTACKER_MODELS,
+    calculatePoolEntropy,
+    estimateCrackTimes,
+    formatDuration,
+    wordsForTargetEntropy
+};
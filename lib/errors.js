@@ -0,0 +1,84 @@
+// /word-picker/lib/errors.js
+
+/**
+ * Base class for every error thrown by the word picker.
+ * Each subclass carries a stable `code` and extra properties describing the failure.
+ */
+class WordPickerError extends Error {
+    /**
+     * @param {string} message - Human readable description.
+     * @param {Object} [details] - (Optional) Extra properties copied onto the error.
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = 'ERR_WORD_PICKER';
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Thrown when a word list cannot be found, read or parsed.
+ * Carries `source` (the path or description of the list) and `cause` (the underlying error, if any).
+ */
+class WordListLoadError extends WordPickerError {
+    constructor(message, details) {
+        super(message, details);
+        this.code = 'ERR_WORD_LIST_LOAD';
+    }
+}
+
+/**
+ * Thrown when an option or argument has an invalid value.
+ * Carries `option`, the name of the offending option.
+ */
+class InvalidOptionError extends WordPickerError {
+    constructor(message, details) {
+        super(message, details);
+        this.code = 'ERR_INVALID_OPTION';
+    }
+}
+
+/**
+ * Thrown when an option needs word data the current word source does not provide
+ * (e.g. `languages` on a plain list of strings).
+ * Carries `options` (the unsupported option names) and `capabilities` (the missing word data).
+ */
+class UnsupportedOptionError extends InvalidOptionError {
+    constructor(message, details) {
+        super(message, details);
+        this.code = 'ERR_UNSUPPORTED_OPTION';
+    }
+}
+
+/**
+ * Thrown when the filtered pool cannot provide what was asked for.
+ * Carries `requested` and `available` where they apply.
+ */
+class InsufficientWordsError extends WordPickerError {
+    constructor(message, details) {
+        super(message, details);
+        this.code = 'ERR_INSUFFICIENT_WORDS';
+    }
+}
+
+/**
+ * Thrown when a BIP39 mnemonic has the wrong number of words, a word missing from the word list,
+ * or a bad checksum.
+ * Carries `reason` ("wordCount", "unknownWord" or "checksum") and, for unknown words, `word` and `index`.
+ */
+class InvalidMnemonicError extends WordPickerError {
+    constructor(message, details) {
+        super(message, details);
+        this.code = 'ERR_INVALID_MNEMONIC';
+    }
+}
+
+module.exports = {
+    InsufficientWordsError,
+    InvalidMnemonicError,
+    InvalidOptionError,
+    UnsupportedOptionError,
+    WordListLoadError,
+    WordPickerError
+};
@@ -0,0 +1,87 @@
+// /word-picker/lib/listdata.js
+
+const { detectCapabilities } = require('./capabilities');
+const { getField, getWordText, hasValidWeight, isWordEntry } = require('./entries');
+const { getRime } = require('./rhyme');
+
+// Derived data of frozen word lists (the loader's cached lists, WordPicker and RPC lists), dropped with the list
+const listDataCache = new WeakMap();
+
+/**
+ * Computes what every call needs to know about a word list before filtering it.
+ *
+ * @param {Array<string|Object>} words - The word list.
+ * @returns {Object} - See getListData.
+ */
+function createListData(words) {
+    const data = {
+        invalidEntry: words.findIndex(entry => !isWordEntry(entry)),
+        invalidWeight: -1,
+        capabilities: null,
+        lowerWords: null,
+        hasDuplicates: false,
+        hasWeights: false
+    };
+    // The caller rejects an invalid list, so nothing else is computed for it
+    if (data.invalidEntry !== -1) return data;
+    data.invalidWeight = words.findIndex(entry => !hasValidWeight(entry));
+    if (data.invalidWeight !== -1) return data;
+
+    data.capabilities = detectCapabilities(words);
+    data.lowerWords = words.map(entry => getWordText(entry).toLowerCase());
+    data.hasDuplicates = new Set(data.lowerWords).size !== words.length;
+    data.hasWeights = words.some(entry => {
+        const weight = getField(entry, 'weight');
+        return weight !== undefined && weight !== 1;
+    });
+
+    // Phonetic codes and rimes are computed on first use, word by word, since most calls filter
+    // the list down before they are needed
+    const phoneticCodes = new Map();
+    const rimes = [];
+    data.phoneticCode = (index, encoder) => {
+        // A custom encoder may change between calls, so only the built-in algorithms are kept
+        if (encoder.name === 'custom') return encoder.encode(getWordText(words[index]));
+        let codes = phoneticCodes.get(encoder.name);
+        if (!codes) {
+            codes = [];
+            phoneticCodes.set(encoder.name, codes);
+        }
+        if (codes[index] === undefined) {
+            codes[index] = encoder.encode(getWordText(words[index]));
+        }
+        return codes[index];
+    };
+    data.rime = (index) => {
+        if (rimes[index] === undefined) {
+            rimes[index] = getRime(data.lowerWords[index]);
+        }
+        return rimes[index];
+    };
+    return data;
+}
+
+/**
+ * Returns the derived data of a word list. Frozen lists cannot change, so their data is
+ * computed once and kept until the list itself is garbage collected; other arrays may be
+ * changed by the caller between calls and get fresh data every time.
+ *
+ * @param {Array<string|Object>} words - The word list.
+ * @returns {{invalidEntry: number, invalidWeight: number, capabilities: (Set<string>|null), lowerWords: (Array<string>|null),
+ *   hasDuplicates: boolean, hasWeights: boolean, phoneticCode: function(number, Object): string, rime: function(number): string}}
+ *   - The index of the first entry that is not a word (or -1), of the first entry with an invalid weight (or -1), and,
+ *   for valid lists, the capabilities, the lowercased words, whether a word appears twice, whether any weight differs
+ *   from 1, and memoized phonetic codes and rimes by list index.
+ */
+function getListData(words) {
+    let data = listDataCache.get(words);
+    if (!data) {
+        data = createListData(words);
+        if (Object.isFrozen(words)) {
+            listDataCache.set(words, data);
+        }
+    }
+    return data;
+}
+
+module.exports = { getListData };
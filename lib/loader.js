@@ -0,0 +1,392 @@
+// /word-picker/lib/loader.js
+
+const fs = require('fs');
+const path = require('path');
+const { MAX_WEIGHT } = require('./entries');
+const { parseDicewareList } = require('./diceware');
+const { InvalidOptionError, WordListLoadError } = require('./errors');
+
+// Bundled word lists, tried in this order when no source is given
+const DEFAULT_SOURCES = [
+    path.join(__dirname, '..', 'words', 'words.txt'),
+    path.join(__dirname, '..', 'words', 'words.js')
+];
+
+// Parsed word lists keyed by absolute path; entries are reused while the file's mtime and size are unchanged
+const cache = new Map();
+
+// Header keys recognized in the leading "# key: value" comments of text lists
+const HEADER_KEYS = ['name', 'version', 'language', 'columns', 'format'];
+
+// Column order of annotated lists without a "columns" header
+const DEFAULT_COLUMNS = ['word', 'weight', 'tags', 'partOfSpeech', 'syllables'];
+
+// Short column names accepted in headers
+const COLUMN_ALIASES = { pos: 'partOfSpeech' };
+
+// Columns holding comma separated lists, and columns holding numbers
+const LIST_COLUMNS = ['tags', 'partOfSpeech', 'synonyms', 'examples'];
+const NUMBER_COLUMNS = ['weight', 'syllables', 'frequency'];
+
+// An EFF dice-indexed line: dice rolls, whitespace, then the word (e.g. "11111\tabacus")
+const DICE_LINE = /^[1-6]+\s+\S/;
+
+/**
+ * Parses a plain text word list: one word per line, with surrounding quotes and commas removed.
+ *
+ * @param {Array<string>} lines - Data lines of the file (comments removed).
+ * @returns {Array<string>} - The words in file order.
+ */
+function parseTextList(lines) {
+    return lines
+        .map(line => line.trim().replace(/,$/, '').replace(/^["']|["']$/g, ''))
+        .filter(line => line.length > 0);
+}
+
+/**
+ * Parses an EFF dice-indexed list, dropping the dice rolls. Use loadDicewareList to keep them.
+ * Every line is checked as parseDicewareList does, so a malformed line is reported with its number.
+ *
+ * @param {string} data - File contents.
+ * @param {string} filePath - Path of the list, used in error messages.
+ * @returns {Array<string>} - The words, ordered by their rolls.
+ */
+function parseDiceList(data, filePath) {
+    return parseDicewareList(data, filePath).words;
+}
+
+/**
+ * Parses an annotated, tab separated list: the word, then optional columns such as weight,
+ * tags, part of speech and syllables. Lists and numbers are converted; empty cells are left out.
+ *
+ * @param {Array<string>} lines - Data lines of the file.
+ * @param {Array<string>} columns - Column names, in order.
+ * @param {string} filePath - Path of the list, used in error messages.
+ * @param {Array<number>} lineNumbers - Line number in the file of every data line, used in error messages.
+ * @returns {Array<string|Object>} - Plain strings for lines with only a word, word objects otherwise.
+ */
+function parseAnnotatedList(lines, columns, filePath, lineNumbers) {
+    return lines.map((line, lineIndex) => {
+        const cells = line.split('\t').map(cell => cell.trim());
+        const entry = {};
+        columns.forEach((column, index) => {
+            const cell = cells[index];
+            if (cell === undefined || cell === '') return;
+            if (NUMBER_COLUMNS.includes(column)) {
+                const value = Number(cell);
+                if (!Number.isFinite(value) || value < 0 || (column === 'weight' && value > MAX_WEIGHT)) {
+                    throw new WordListLoadError(
+                        `Line ${lineNumbers[lineIndex]} of ${path.basename(filePath)} has an invalid ${column} '${cell}' for '${cells[0]}'.`,
+                        { source: filePath }
+                    );
+                }
+                entry[column] = value;
+            } else if (LIST_COLUMNS.includes(column)) {
+                entry[column] = cell.split(',').map(item => item.trim()).filter(item => item.length > 0);
+            } else {
+                entry[column] = cell;
+            }
+        });
+        return Object.keys(entry).length === 1 && entry.word !== undefined ? entry.word : entry;
+    }).filter(entry => typeof entry !== 'string' || entry.length > 0);
+}
+
+/**
+ * Parses a JSON list: an array of words or word objects, or an object with a `words` array
+ * and optional `name`, `version` and `language`.
+ *
+ * @param {string} data - File contents.
+ * @param {string} filePath - Path of the list, used in error messages.
+ * @returns {{words: Array, header: Object}} - The entries and header fields.
+ */
+function parseJsonList(data, filePath) {
+    let parsed;
+    try {
+        parsed = JSON.parse(data);
+    } catch (err) {
+        throw new WordListLoadError(`${path.basename(filePath)} is not valid JSON: ${err.message}`, { source: filePath, cause: err });
+    }
+    if (Array.isArray(parsed)) {
+        return { words: parsed, header: {} };
+    }
+    if (parsed !== null && typeof parsed === 'object' && Array.isArray(parsed.words)) {
+        const header = Object.assign({}, parsed);
+        delete header.words;
+        return { words: parsed.words, header };
+    }
+    throw new WordListLoadError(`${path.basename(filePath)} must contain an array of words or an object with a 'words' array.`, { source: filePath });
+}
+
+/**
+ * Parses an NDJSON list: one word (JSON string) or word object per line. A first line holding an
+ * object without a `word` is read as the header.
+ *
+ * @param {string} data - File contents.
+ * @param {string} filePath - Path of the list, used in error messages.
+ * @returns {{words: Array, header: Object}} - The entries and header fields.
+ */
+function parseNdjsonList(data, filePath) {
+    const values = [];
+    data.split(/\r?\n/).forEach((line, index) => {
+        if (line.trim().length === 0) return;
+        try {
+            values.push(JSON.parse(line));
+        } catch (err) {
+            throw new WordListLoadError(`Line ${index + 1} of ${path.basename(filePath)} is not valid JSON: ${err.message}`, { source: filePath, cause: err });
+        }
+    });
+    const first = values[0];
+    if (first !== null && typeof first === 'object' && !Array.isArray(first) && first.word === undefined) {
+        return { words: values.slice(1), header: first };
+    }
+    return { words: values, header: {} };
+}
+
+/**
+ * Splits a text list into its "# key: value" header, which must come before the first word,
+ * and its data lines. Other lines starting with "#" are comments.
+ *
+ * @param {string} data - File contents.
+ * @returns {{header: Object, lines: Array<string>, lineNumbers: Array<number>}} - Header fields, non-empty data lines
+ *   and their line numbers in the file.
+ */
+function splitTextList(data) {
+    const header = {};
+    const lines = [];
+    const lineNumbers = [];
+    data.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (line.length === 0) return;
+        if (line.startsWith('#')) {
+            const match = /^#\s*([A-Za-z]+)\s*:\s*(.*)$/.exec(line);
+            if (match && lines.length === 0 && HEADER_KEYS.includes(match[1].toLowerCase())) {
+                header[match[1].toLowerCase()] = match[2].trim();
+            }
+            return;
+        }
+        lines.push(rawLine);
+        lineNumbers.push(index + 1);
+    });
+    return { header, lines, lineNumbers };
+}
+
+/**
+ * Picks the format of a list from its extension, header or contents.
+ *
+ * @param {string} filePath - Path of the list.
+ * @param {string} data - File contents.
+ * @param {Object} header - Header fields of text lists.
+ * @param {Array<string>} lines - Data lines of text lists.
+ * @returns {string} - "json", "ndjson", "eff", "annotated" or "text".
+ */
+function detectFormat(filePath, data, header, lines) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === '.json') return 'json';
+    if (extension === '.ndjson' || extension === '.jsonl') return 'ndjson';
+    if (header.format) return header.format.toLowerCase();
+    if (extension === '.tsv') return 'annotated';
+
+    const trimmed = data.trimStart();
+    if (trimmed.startsWith('[')) return 'json';
+    if (trimmed.startsWith('{')) {
+        try {
+            JSON.parse(trimmed);
+            return 'json';
+        } catch (err) {
+            return 'ndjson';
+        }
+    }
+    if (lines.length > 0 && lines.every(line => DICE_LINE.test(line.trim()))) return 'eff';
+    if (header.columns || lines.some(line => line.includes('\t'))) return 'annotated';
+    return 'text';
+}
+
+/**
+ * Reads and parses a word list file. JavaScript modules are required; other files are parsed
+ * with parseWordList.
+ *
+ * @param {string} filePath - Absolute path of the word list.
+ * @returns {{words: Array<string|Object>, info: Object}} - The entries in file order, and the list's format and header.
+ */
+function readWordFile(filePath) {
+    if (path.extname(filePath) === '.js') {
+        // Drop the module cache so an edited file is picked up again
+        delete require.cache[require.resolve(filePath)];
+        const words = require(filePath);
+        if (!Array.isArray(words)) {
+            throw new WordListLoadError(`${path.basename(filePath)} must export an array of words.`, { source: filePath });
+        }
+        return { words: words.slice(), info: { format: 'js', name: null, version: null, language: null, columns: null } };
+    }
+    return parseWordList(fs.readFileSync(filePath, 'utf8'), filePath);
+}
+
+/**
+ * Parses the contents of a word list as JSON, NDJSON, EFF dice-indexed, annotated (tab separated)
+ * or plain text, detected by the extension of `name`, a "# format:" header, or the contents.
+ *
+ * @param {string} text - Contents of the list.
+ * @param {string} [name='stdin'] - (Optional) File name or path of the list, used to detect the format and in errors.
+ * @returns {{words: Array<string|Object>, info: Object}} - The entries in order, and the list's format and header.
+ * @throws {WordListLoadError} - If the contents cannot be parsed.
+ */
+function parseWordList(text, name = 'stdin') {
+    // Strip a UTF-8 byte order mark
+    const data = text.replace(/^\uFEFF/, '');
+    const { header, lines, lineNumbers } = splitTextList(data);
+    const format = detectFormat(name, data, header, lines);
+
+    let words;
+    let fileHeader = header;
+    let columns = null;
+    if (format === 'json') {
+        ({ words, header: fileHeader } = parseJsonList(data, name));
+    } else if (format === 'ndjson') {
+        ({ words, header: fileHeader } = parseNdjsonList(data, name));
+    } else if (format === 'eff') {
+        words = parseDiceList(data, name);
+    } else if (format === 'annotated') {
+        let dataLines = lines;
+        let dataLineNumbers = lineNumbers;
+        columns = header.columns ? header.columns.split(/[\s,]+/).filter(column => column.length > 0) : null;
+        // A first row starting with "word" names the columns
+        if (!columns && lines.length > 0 && lines[0].split('\t')[0].trim().toLowerCase() === 'word') {
+            columns = lines[0].split('\t').map(column => column.trim());
+            dataLines = lines.slice(1);
+            dataLineNumbers = lineNumbers.slice(1);
+        }
+        columns = (columns || DEFAULT_COLUMNS).map(column => COLUMN_ALIASES[column] || column);
+        if (columns[0] !== 'word') {
+            throw new WordListLoadError(`The first column of ${path.basename(name)} must be 'word'.`, { source: name });
+        }
+        words = parseAnnotatedList(dataLines, columns, name, dataLineNumbers);
+    } else if (format === 'text') {
+        words = parseTextList(lines);
+    } else {
+        throw new WordListLoadError(`Unknown word list format '${format}' in ${path.basename(name)}.`, { source: name });
+    }
+
+    // A header language applies to every word that does not set its own
+    const language = typeof fileHeader.language === 'string' && fileHeader.language.length > 0 ? fileHeader.language : null;
+    if (language) {
+        words = words.map(entry => {
+            if (typeof entry === 'string') return { word: entry, language };
+            if (entry !== null && typeof entry === 'object' && entry.language === undefined) return Object.assign({}, entry, { language });
+            return entry;
+        });
+    }
+
+    const info = {
+        format,
+        name: typeof fileHeader.name === 'string' ? fileHeader.name : null,
+        version: fileHeader.version !== undefined ? String(fileHeader.version) : null,
+        language,
+        columns
+    };
+    return { words, info };
+}
+
+/**
+ * Resolves the bundled word list to use when no source is given.
+ *
+ * @returns {string} - Absolute path of the first bundled list that exists.
+ */
+function resolveDefaultSource() {
+    const source = DEFAULT_SOURCES.find(candidate => fs.existsSync(candidate));
+    if (!source) {
+        throw new WordListLoadError('No words.txt or words.js found in the /words directory, and no customWordsArray provided.', { source: null });
+    }
+    return source;
+}
+
+/**
+ * Returns the cache entry of a word list file, parsing the file if it is new or has changed.
+ *
+ * @param {string} filePath - Absolute path of the word list.
+ * @returns {{mtimeMs: number, size: number, words: ReadonlyArray, info: Object}} - The cache entry.
+ * @throws {WordListLoadError} - If the list cannot be read or parsed.
+ */
+function loadCacheEntry(filePath) {
+    try {
+        const stats = fs.statSync(filePath);
+        const cached = cache.get(filePath);
+        if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+            return cached;
+        }
+
+        const { words, info } = readWordFile(filePath);
+        const entry = { mtimeMs: stats.mtimeMs, size: stats.size, words: Object.freeze(words), info };
+        cache.set(filePath, entry);
+        return entry;
+    } catch (err) {
+        if (err instanceof WordListLoadError) throw err;
+        throw new WordListLoadError(`Error loading words from ${filePath}: ${err.message}`, { source: filePath, cause: err });
+    }
+}
+
+/**
+ * Resolves the path of a word list source.
+ *
+ * @param {string} [source] - Path of a word list, or nothing for the bundled list.
+ * @returns {string} - Absolute path.
+ */
+function resolveSourcePath(source) {
+    if (source !== undefined && source !== null && typeof source !== 'string') {
+        throw new InvalidOptionError('Word list source must be a file path or an array of words.', { option: 'source' });
+    }
+    return source ? path.resolve(source) : resolveDefaultSource();
+}
+
+/**
+ * Loads a word list, parsing each file only once.
+ *
+ * Parsed lists are cached by absolute path and reloaded only when the file's mtime or size
+ * changes, so repeated calls cost a single `fs.statSync`. Call it once at startup to pre-warm
+ * the cache. The returned array is frozen because it is shared between callers.
+ *
+ * @param {string|Array<string>} [source] - (Optional) Path to a word list file (.txt, .tsv, .json, .ndjson/.jsonl
+ *   or .js; see readWordFile), or an array of words (returned as is). Defaults to the bundled words/words.txt
+ *   (or words/words.js).
+ * @returns {ReadonlyArray<string>} - The words in file order.
+ * @throws {WordListLoadError} - If the list cannot be found, read or parsed.
+ */
+function loadWordList(source) {
+    if (Array.isArray(source)) {
+        return source;
+    }
+    return loadCacheEntry(resolveSourcePath(source)).words;
+}
+
+/**
+ * Describes a word list: its format, the name, version and language from its header, and its size.
+ * Uses the same cache as loadWordList.
+ *
+ * @param {string|Array<string>} [source] - (Optional) Path to a word list file, or an array of words.
+ *   Defaults to the bundled list.
+ * @returns {{source: (string|null), format: string, name: (string|null), version: (string|null), language: (string|null),
+ *   columns: (Array<string>|null), count: number}} - Header fields are null when the list does not set them.
+ * @throws {WordListLoadError} - If the list cannot be found, read or parsed.
+ */
+function getWordListInfo(source) {
+    if (Array.isArray(source)) {
+        return { source: null, format: 'array', name: null, version: null, language: null, columns: null, count: source.length };
+    }
+    const filePath = resolveSourcePath(source);
+    const { words, info } = loadCacheEntry(filePath);
+    return Object.assign({ source: filePath }, info, { count: words.length });
+}
+
+/**
+ * Empties the word list cache, e.g. to release memory or after replacing files in place.
+ *
+ * @param {string} [source] - (Optional) Only forget this path.
+ */
+function clearWordListCache(source) {
+    if (source) {
+        cache.delete(path.resolve(source));
+    } else {
+        cache.clear();
+    }
+}
+
+module.exports = { clearWordListCache, getWordListInfo, loadWordList, parseWordList };
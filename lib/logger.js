@@ -0,0 +1,32 @@
+// /word-picker/lib/logger.js
+
+// Log levels from most to least verbose
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const noop = () => {};
+
+/**
+ * Wraps a logger so that it always exposes debug/info/warn/error methods.
+ *
+ * Missing methods and messages below `level` are dropped. Without a target, everything is
+ * dropped: the library never writes to the console on its own.
+ *
+ * @param {Object} [target] - (Optional) Object with any of debug/info/warn/error methods, e.g. `console` or a pino/winston logger.
+ * @param {string} [level='debug'] - (Optional) Lowest level passed through to the target.
+ * @returns {{debug: function, info: function, warn: function, error: function}} - The normalized logger.
+ */
+function createLogger(target, level = 'debug') {
+    const minIndex = LOG_LEVELS.indexOf(level);
+    if (minIndex === -1) {
+        throw new RangeError(`Log level must be one of: ${LOG_LEVELS.join(', ')}.`);
+    }
+
+    const logger = {};
+    LOG_LEVELS.forEach((name, index) => {
+        const method = target && typeof target[name] === 'function' ? target[name] : null;
+        logger[name] = method && index >= minIndex ? method.bind(target) : noop;
+    });
+    return logger;
+}
+
+module.exports = { LOG_LEVELS, createLogger };
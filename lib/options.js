@@ -0,0 +1,502 @@
+// /word-picker/lib/options.js
+
+const { InvalidOptionError } = require('./errors');
+const { damerauLevenshtein } = require('./distance');
+const { MAX_WEIGHT } = require('./entries');
+const { rhymes } = require('./rhyme');
+
+/**
+ * Every option accepted by getWords. Each entry lists the accepted `type` (or types) and,
+ * where they apply, `min`/`max` (inclusive), `exclusiveMin`, allowed `values`, and the
+ * `properties` of an object value.
+ */
+const OPTION_SCHEMA = {
+    lengthMin: { type: 'integer', min: 0 },
+    lengthMax: { type: 'integer', min: 0 },
+    fixLength: { type: 'integer', min: 1 },
+    reverse: { type: 'boolean' },
+    asString: { type: 'boolean' },
+    sort: { type: 'string', values: ['asc', 'desc'] },
+    caseOption: { type: 'string', values: ['upper', 'lower', 'capitalize'] },
+    filterStartsWith: { type: 'stringArray' },
+    filterEndsWith: { type: 'stringArray' },
+    excludeSubstrings: { type: 'stringArray' },
+    blacklist: { type: 'stringArray' },
+    whitelist: { type: 'stringArray' },
+    languages: { type: 'stringArray' },
+    excludeAmbiguous: { type: 'boolean' },
+    pattern: { type: 'regexp' },
+    phoneticDistinct: { type: ['boolean', 'string'], values: ['pool', 'selection'] },
+    phoneticAlgorithm: { type: ['string', 'function'], values: ['soundex', 'metaphone', 'doubleMetaphone', 'nysiis', 'cologne'] },
+    minEditDistance: { type: 'integer', min: 1 },
+    substringDistinct: { type: 'boolean' },
+    uniquePrefixLength: { type: 'integer', min: 1 },
+    includeMetadata: { type: 'boolean' },
+    history: { type: 'set' },
+    seed: { type: ['number', 'string'] },
+    rng: { type: 'rng' },
+    weightedSelection: { type: 'numberMap', min: 0, max: MAX_WEIGHT },
+    customShuffle: { type: 'function' },
+    batchSize: { type: 'integer', min: 1 },
+    validateWords: { type: 'function' },
+    uniqueCharacters: { type: 'boolean' },
+    maxRepeatLetters: { type: 'integer', min: 0 },
+    allowNumbers: { type: 'boolean' },
+    allowSpecialChars: { type: 'boolean' },
+    minEntropy: { type: 'number', min: 0 },
+    returnEntropy: { type: 'boolean' },
+    customEntropyCalculator: { type: 'function' },
+    syllableCount: { type: 'integer', min: 1 },
+    excludePartsOfSpeech: { type: 'stringArray' },
+    includePartsOfSpeech: { type: 'stringArray' },
+    limitSyllables: { type: 'integer', min: 1 },
+    excludeWordOrigins: { type: 'stringArray' },
+    includeWordOrigins: { type: 'stringArray' },
+    excludeProperNouns: { type: 'boolean' },
+    excludeSlang: { type: 'boolean' },
+    includeDefinitions: { type: 'boolean' },
+    includeExamples: { type: 'boolean' },
+    synonyms: { type: 'stringArray' },
+    excludeHomonyms: { type: 'boolean' },
+    includeHomonyms: { type: 'boolean' },
+    excludeCompoundWords: { type: 'boolean' },
+    excludeAbbreviations: { type: 'boolean' },
+    onlyMonosyllabic: { type: 'boolean' },
+    onlyPolysyllabic: { type: 'boolean' },
+    limitVowels: { type: 'stringArray' },
+    excludeSpecificVowels: { type: 'stringArray' },
+    includeRhymeWith: { type: 'string' },
+    excludeRhymeWith: { type: 'string' },
+    rhymeLevel: { type: 'string', values: ['perfect', 'slant'] },
+    scrabbleScoreRange: { type: 'numberRange', min: 0 },
+    excludeLetters: { type: 'stringArray' },
+    includeLetters: { type: 'stringArray' },
+    mustContainAllLetters: { type: 'stringArray' },
+    mustContainAnyLetters: { type: 'stringArray' },
+    excludeWordsWithRepeatingLetters: { type: 'boolean' },
+    minConsonants: { type: 'integer', min: 0 },
+    minVowels: { type: 'integer', min: 0 },
+    customFilter: { type: 'function' },
+    attackerModels: { type: 'numberMap', exclusiveMin: 0 },
+    targetEntropyBits: { type: 'number', exclusiveMin: 0 },
+    explain: {
+        type: ['boolean', 'object'],
+        properties: {
+            word: { type: 'string' }
+        }
+    },
+    strict: {
+        type: ['boolean', 'object'],
+        properties: {
+            minPoolSize: { type: 'integer', min: 1 },
+            minEntropyBits: { type: 'number', min: 0 }
+        }
+    },
+    maxAttempts: { type: 'integer', min: 1 },
+    unsupportedOptions: { type: 'string', values: ['error', 'warn'] },
+    logger: { type: 'object' },
+    logLevel: { type: 'string', values: ['debug', 'info', 'warn', 'error'] }
+};
+
+// Keys that could alter an object's prototype when copied
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+const isPlainObject = (value) => {
+    if (value === null || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+};
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Type checks referenced by OPTION_SCHEMA
+const TYPE_CHECKS = {
+    boolean: value => typeof value === 'boolean',
+    number: isFiniteNumber,
+    integer: value => Number.isInteger(value),
+    string: value => typeof value === 'string',
+    stringArray: value => Array.isArray(value) && value.every(item => typeof item === 'string'),
+    function: value => typeof value === 'function',
+    regexp: value => value instanceof RegExp,
+    set: value => value !== null && typeof value === 'object' && typeof value.has === 'function' && typeof value.add === 'function',
+    rng: value => value !== null && typeof value === 'object' && typeof value.nextInt === 'function',
+    numberMap: value => isPlainObject(value) && Object.keys(value).every(key => isFiniteNumber(value[key])),
+    numberRange: value => Array.isArray(value) && value.length === 2 && value.every(isFiniteNumber),
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+// Human readable names used in error messages
+const TYPE_NAMES = {
+    boolean: 'a boolean',
+    number: 'a finite number',
+    integer: 'an integer',
+    string: 'a string',
+    stringArray: 'an array of strings',
+    function: 'a function',
+    regexp: 'a RegExp',
+    set: 'a Set (or an object with has/add methods)',
+    rng: 'an object with a nextInt(max) method',
+    numberMap: 'an object mapping keys to numbers',
+    numberRange: 'a [min, max] array of numbers',
+    object: 'an object'
+};
+
+// Parsers for options written as text (command-line flags, query strings); each returns undefined if the text does not fit
+const splitList = raw => raw.split(',').map(item => item.trim()).filter(item => item.length > 0);
+const TEXT_PARSERS = {
+    boolean: raw => (raw === 'true' ? true : (raw === 'false' ? false : undefined)),
+    integer: raw => (/^-?\d+$/.test(raw) ? Number(raw) : undefined),
+    number: raw => (raw.trim() !== '' && Number.isFinite(Number(raw)) ? Number(raw) : undefined),
+    string: raw => raw,
+    stringArray: splitList,
+    set: raw => new Set(splitList(raw).map(word => word.toLowerCase())),
+    regexp: raw => {
+        // Accept "/source/flags" as well as a bare source
+        const match = /^\/(.*)\/([a-z]*)$/.exec(raw);
+        try {
+            return match ? new RegExp(match[1], match[2]) : new RegExp(raw);
+        } catch (err) {
+            return undefined;
+        }
+    },
+    numberMap: raw => {
+        const map = {};
+        const valid = splitList(raw).every(pair => {
+            const separator = pair.lastIndexOf('=');
+            const value = Number(pair.slice(separator + 1));
+            if (separator <= 0 || !Number.isFinite(value)) return false;
+            map[pair.slice(0, separator).trim()] = value;
+            return true;
+        });
+        return valid ? map : undefined;
+    },
+    numberRange: raw => {
+        const numbers = splitList(raw).map(Number);
+        return numbers.length === 2 && numbers.every(Number.isFinite) ? numbers : undefined;
+    }
+};
+
+/**
+ * Returns the schema types of an entry that can be written as text, booleans first so that
+ * "true" and "false" are not read as strings.
+ *
+ * @param {Object} entry - OPTION_SCHEMA entry.
+ * @returns {Array<string>} - Type names; empty for options that only take functions or objects.
+ */
+function getTextTypes(entry) {
+    const types = (Array.isArray(entry.type) ? entry.type : [entry.type]).filter(type => TEXT_PARSERS[type]);
+    return types.includes('boolean') ? ['boolean'].concat(types.filter(type => type !== 'boolean')) : types;
+}
+
+/**
+ * Converts an option written as text to the value getWords expects: numbers, comma separated
+ * lists ("a,b"), regular expressions ("^a" or "/^a/i"), maps ("apple=2,pear=1") and ranges ("5,12").
+ *
+ * @param {Object} entry - OPTION_SCHEMA entry of the option.
+ * @param {string} raw - The text.
+ * @returns {*} - The value, or undefined if the text fits none of the option's types.
+ */
+function parseOptionValue(entry, raw) {
+    let value;
+    getTextTypes(entry).some(type => {
+        value = TEXT_PARSERS[type](raw);
+        return value !== undefined;
+    });
+    return value;
+}
+
+/**
+ * Converts options decoded from JSON, which has no regular expressions or Sets: strings of
+ * RegExp options are parsed as by parseOptionValue, and arrays of Set options become Sets.
+ * Anything else, including strings that are not valid patterns, is left for validation to report.
+ *
+ * @param {Object} options - Decoded options.
+ * @returns {Object} - A converted copy; non-objects are returned unchanged.
+ */
+function reviveJsonOptions(options) {
+    if (!isPlainObject(options)) return options;
+    const revived = Object.assign({}, options);
+    Object.keys(revived).forEach(key => {
+        const entry = Object.prototype.hasOwnProperty.call(OPTION_SCHEMA, key) ? OPTION_SCHEMA[key] : null;
+        if (!entry) return;
+        if (entry.type === 'regexp' && typeof revived[key] === 'string') {
+            const pattern = TEXT_PARSERS.regexp(revived[key]);
+            if (pattern !== undefined) revived[key] = pattern;
+        } else if (entry.type === 'set' && Array.isArray(revived[key])) {
+            revived[key] = new Set(revived[key]);
+        }
+    });
+    return revived;
+}
+
+/**
+ * Finds the known option name closest to an unknown one.
+ *
+ * @param {string} key - The unknown option name.
+ * @param {Array<string>} knownKeys - Valid option names.
+ * @returns {string|null} - The suggestion, or null if nothing is close enough.
+ */
+function suggestKey(key, knownKeys) {
+    let best = null;
+    let bestDistance = Infinity;
+    knownKeys.forEach(candidate => {
+        const distance = damerauLevenshtein(key.toLowerCase(), candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    });
+    return bestDistance <= Math.max(2, Math.floor(key.length / 4)) ? best : null;
+}
+
+/**
+ * Checks the own keys of an object against a schema, appending problems to `issues`.
+ *
+ * @param {Object} value - Object to check.
+ * @param {Object} schema - Map of key to schema entry.
+ * @param {string} prefix - Path prefix used in issue names (e.g. "strict.").
+ * @param {Array<Object>} issues - Collected issues.
+ */
+function checkObject(value, schema, prefix, issues) {
+    const knownKeys = Object.keys(schema);
+    Object.keys(value).forEach(key => {
+        const name = prefix + key;
+        if (FORBIDDEN_KEYS.includes(key)) {
+            issues.push({ option: name, code: 'forbiddenKey', message: `'${name}' is not allowed in options.` });
+            return;
+        }
+        const entry = Object.prototype.hasOwnProperty.call(schema, key) ? schema[key] : null;
+        if (!entry) {
+            const suggestion = suggestKey(key, knownKeys);
+            issues.push({
+                option: name,
+                code: 'unknownOption',
+                message: `Unknown option '${name}'.${suggestion ? ` Did you mean '${prefix + suggestion}'?` : ''}`,
+                suggestion: suggestion ? prefix + suggestion : undefined
+            });
+            return;
+        }
+        // Undefined means "use the default", just like an omitted key
+        if (value[key] !== undefined) {
+            checkValue(name, value[key], entry, issues);
+        }
+    });
+}
+
+/**
+ * Checks one option value against its schema entry, appending problems to `issues`.
+ *
+ * @param {string} name - Option name (with prefix for nested options).
+ * @param {*} value - Option value.
+ * @param {Object} entry - Schema entry.
+ * @param {Array<Object>} issues - Collected issues.
+ */
+function checkValue(name, value, entry, issues) {
+    const types = Array.isArray(entry.type) ? entry.type : [entry.type];
+    const type = types.find(candidate => TYPE_CHECKS[candidate](value));
+    if (!type) {
+        const expected = types.map(candidate => TYPE_NAMES[candidate]).join(' or ');
+        issues.push({ option: name, code: 'invalidType', message: `'${name}' must be ${expected}.` });
+        return;
+    }
+
+    // Allowed values restrict strings; a union type may also accept e.g. a function
+    if (entry.values && type === 'string' && !entry.values.includes(value)) {
+        issues.push({
+            option: name,
+            code: 'invalidValue',
+            message: `'${name}' must be one of: ${entry.values.map(allowed => `"${allowed}"`).join(', ')}.`
+        });
+    }
+
+    // Range checks apply to numbers and to every number of a map or range
+    let numbers = [];
+    if (type === 'number' || type === 'integer') numbers = [value];
+    if (type === 'numberMap') numbers = Object.keys(value).map(key => value[key]);
+    if (type === 'numberRange') numbers = value;
+    if (entry.min !== undefined && numbers.some(number => number < entry.min)) {
+        issues.push({ option: name, code: 'outOfRange', message: `'${name}' must be at least ${entry.min}.` });
+    }
+    if (entry.exclusiveMin !== undefined && numbers.some(number => number <= entry.exclusiveMin)) {
+        issues.push({ option: name, code: 'outOfRange', message: `'${name}' must be greater than ${entry.exclusiveMin}.` });
+    }
+    if (entry.max !== undefined && numbers.some(number => number > entry.max)) {
+        issues.push({ option: name, code: 'outOfRange', message: `'${name}' must be at most ${entry.max}.` });
+    }
+    if (type === 'numberRange' && value[0] > value[1]) {
+        issues.push({ option: name, code: 'outOfRange', message: `'${name}' must be [min, max] with min <= max.` });
+    }
+    // Nested option objects are checked against their own schema
+    if (type === 'object' && entry.properties) {
+        checkObject(value, entry.properties, `${name}.`, issues);
+    }
+    if (type === 'numberMap' && Object.prototype.hasOwnProperty.call(value, '__proto__')) {
+        issues.push({ option: name, code: 'forbiddenKey', message: `'${name}' must not contain a __proto__ key.` });
+    }
+}
+
+/**
+ * Detects options that contradict each other.
+ *
+ * @param {Object} options - Options that passed the type checks.
+ * @returns {Array<Object>} - Conflict issues.
+ */
+function findConflicts(options) {
+    const issues = [];
+    const conflict = (names, message) => issues.push({ option: names.join(', '), options: names, code: 'conflict', message });
+    const has = (name) => options[name] !== undefined;
+    const lowerSet = (values) => new Set((values || []).map(value => value.toLowerCase()));
+    const overlap = (a, b) => {
+        const setB = lowerSet(b);
+        return Array.from(lowerSet(a)).filter(value => setB.has(value));
+    };
+
+    if (has('fixLength') && has('lengthMin') && options.lengthMin > options.fixLength) {
+        conflict(['fixLength', 'lengthMin'], `'lengthMin' (${options.lengthMin}) is greater than 'fixLength' (${options.fixLength}).`);
+    }
+    if (has('fixLength') && has('lengthMax') && options.lengthMax < options.fixLength) {
+        conflict(['fixLength', 'lengthMax'], `'lengthMax' (${options.lengthMax}) is less than 'fixLength' (${options.fixLength}).`);
+    }
+    if (has('lengthMin') && has('lengthMax') && options.lengthMin > options.lengthMax) {
+        conflict(['lengthMin', 'lengthMax'], `'lengthMin' (${options.lengthMin}) is greater than 'lengthMax' (${options.lengthMax}).`);
+    }
+    if (options.onlyMonosyllabic && options.onlyPolysyllabic) {
+        conflict(['onlyMonosyllabic', 'onlyPolysyllabic'], "'onlyMonosyllabic' and 'onlyPolysyllabic' cannot both be true.");
+    }
+    if (options.onlyMonosyllabic && has('syllableCount') && options.syllableCount !== 1) {
+        conflict(['onlyMonosyllabic', 'syllableCount'], `'onlyMonosyllabic' requires 'syllableCount' to be 1, got ${options.syllableCount}.`);
+    }
+    if (options.onlyPolysyllabic && ((has('syllableCount') && options.syllableCount < 2) || (has('limitSyllables') && options.limitSyllables < 2))) {
+        conflict(['onlyPolysyllabic', has('syllableCount') ? 'syllableCount' : 'limitSyllables'], "'onlyPolysyllabic' requires at least 2 syllables.");
+    }
+    if (has('syllableCount') && has('limitSyllables') && options.syllableCount > options.limitSyllables) {
+        conflict(['syllableCount', 'limitSyllables'], `'syllableCount' (${options.syllableCount}) is greater than 'limitSyllables' (${options.limitSyllables}).`);
+    }
+    if (options.includeHomonyms && options.excludeHomonyms) {
+        conflict(['includeHomonyms', 'excludeHomonyms'], "'includeHomonyms' and 'excludeHomonyms' cannot both be true.");
+    }
+    if (has('includeRhymeWith') && has('excludeRhymeWith') && rhymes(options.includeRhymeWith, options.excludeRhymeWith, options.rhymeLevel)) {
+        conflict(['includeRhymeWith', 'excludeRhymeWith'], `'${options.includeRhymeWith}' and '${options.excludeRhymeWith}' rhyme, so every rhyming word would be excluded.`);
+    }
+
+    // Lists whose entries must not appear in both
+    [
+        ['whitelist', 'blacklist'],
+        ['includePartsOfSpeech', 'excludePartsOfSpeech'],
+        ['includeWordOrigins', 'excludeWordOrigins'],
+        ['mustContainAllLetters', 'excludeLetters']
+    ].forEach(([includeName, excludeName]) => {
+        const shared = overlap(options[includeName], options[excludeName]);
+        if (shared.length > 0) {
+            conflict([includeName, excludeName], `'${includeName}' and '${excludeName}' both contain: ${shared.join(', ')}.`);
+        }
+    });
+
+    // Lists where at least one entry must survive the exclusion
+    [
+        ['includeLetters', 'excludeLetters'],
+        ['mustContainAnyLetters', 'excludeLetters'],
+        ['limitVowels', 'excludeSpecificVowels']
+    ].forEach(([includeName, excludeName]) => {
+        const values = options[includeName];
+        if (values && values.length > 0 && overlap(values, options[excludeName]).length === lowerSet(values).size) {
+            conflict([includeName, excludeName], `Every entry of '${includeName}' is excluded by '${excludeName}'.`);
+        }
+    });
+
+    if (has('seed') && has('customShuffle')) {
+        conflict(['seed', 'customShuffle'], "'seed' has no effect when 'customShuffle' is given.");
+    }
+    if (has('rng') && has('seed')) {
+        conflict(['rng', 'seed'], "'seed' has no effect when 'rng' is given; seed the generator instead.");
+    }
+    if (has('rng') && has('customShuffle')) {
+        conflict(['rng', 'customShuffle'], "'rng' has no effect when 'customShuffle' is given.");
+    }
+    if (has('weightedSelection') && has('customShuffle')) {
+        conflict(['weightedSelection', 'customShuffle'], "'weightedSelection' has no effect when 'customShuffle' is given.");
+    }
+    if (options.asString && options.includeMetadata) {
+        conflict(['asString', 'includeMetadata'], "'asString' and 'includeMetadata' cannot both be true.");
+    }
+    if (has('seed') && options.strict && options.strict.minEntropyBits > 0) {
+        conflict(['seed', 'strict'], "Seeded results have no secret entropy, so 'strict.minEntropyBits' can never be met.");
+    }
+
+    return issues;
+}
+
+/**
+ * Collects every problem with an options object: invalid container, forbidden or unknown keys,
+ * wrong types or ranges, and contradictory settings.
+ *
+ * @param {*} options - The options passed to getWords.
+ * @returns {Array<{option: string, code: string, message: string}>} - All issues found, empty if none.
+ */
+function collectOptionIssues(options) {
+    if (!isPlainObject(options)) {
+        return [{ option: 'options', code: 'invalidType', message: 'Options must be a plain object.' }];
+    }
+    const issues = [];
+    checkObject(options, OPTION_SCHEMA, '', issues);
+    // Conflicts are only meaningful once every value has the right type
+    return issues.length > 0 ? issues : findConflicts(options);
+}
+
+/**
+ * Builds the error thrown for a list of issues.
+ *
+ * @param {Array<Object>} issues - Issues from collectOptionIssues.
+ * @returns {InvalidOptionError} - Error whose `issues` property lists every problem.
+ */
+function createOptionsError(issues) {
+    const summary = issues.map(issue => `- ${issue.message}`).join('\n');
+    return new InvalidOptionError(`Invalid options (${issues.length} problem${issues.length === 1 ? '' : 's'}):\n${summary}`, {
+        option: issues[0].option,
+        issues
+    });
+}
+
+/**
+ * Returns a copy of the options that only holds their own, known keys, on a null prototype,
+ * so values inherited from a polluted Object.prototype are never read.
+ *
+ * @param {Object} options - Options that passed validation.
+ * @returns {Object} - The sanitized copy.
+ */
+function sanitizeOptions(options) {
+    const clean = Object.create(null);
+    Object.keys(options).forEach(key => {
+        if (Object.prototype.hasOwnProperty.call(OPTION_SCHEMA, key) && options[key] !== undefined) {
+            clean[key] = options[key];
+        }
+    });
+    return clean;
+}
+
+/**
+ * Validates getWords options and returns a sanitized copy.
+ *
+ * @param {Object} options - The options to check.
+ * @returns {Object} - A null-prototype copy holding only the options that were set.
+ * @throws {InvalidOptionError} - With an `issues` array listing every problem at once.
+ */
+function validateOptions(options) {
+    const issues = collectOptionIssues(options);
+    if (issues.length > 0) {
+        throw createOptionsError(issues);
+    }
+    return sanitizeOptions(options);
+}
+
+module.exports = {
+    OPTION_SCHEMA,
+    collectOptionIssues,
+    createOptionsError,
+    getTextTypes,
+    parseOptionValue,
+    reviveJsonOptions,
+    sanitizeOptions,
+    suggestKey,
+    validateOptions
+};
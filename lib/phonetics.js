@@ -0,0 +1,907 @@
+// /word-picker/lib/phonetics.js
+
+const { InvalidOptionError } = require('./errors');
+
+/**
+ * Phonetic encoders: words that sound alike get the same code. Every encoder ignores case,
+ * accents and characters other than letters, and returns an empty code for a word without letters.
+ */
+
+/**
+ * Uppercases a word and strips accents ("é" becomes "E").
+ *
+ * @param {string} word - The word.
+ * @returns {string} - The normalized word; characters without a Latin base letter are kept as they are.
+ */
+function toBaseLetters(word) {
+    return String(word).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase();
+}
+
+// Soundex digit of each consonant; vowels (and y) separate equal digits, h and w do not
+const SOUNDEX_CODES = {
+    b: '1', f: '1', p: '1', v: '1',
+    c: '2', g: '2', j: '2', k: '2', q: '2', s: '2', x: '2', z: '2',
+    d: '3', t: '3',
+    l: '4',
+    m: '5', n: '5',
+    r: '6'
+};
+
+/**
+ * Encodes a word with American Soundex, as used by the US National Archives: the first
+ * letter followed by three digits, e.g. "R163" for both "Robert" and "Rupert".
+ *
+ * @param {string} word - The word to encode.
+ * @returns {string} - The four-character code, or "" if the word has no letters.
+ */
+function soundex(word) {
+    const letters = toBaseLetters(word).toLowerCase().replace(/[^a-z]/g, '');
+    if (letters.length === 0) return '';
+
+    let code = letters[0].toUpperCase();
+    let previous = SOUNDEX_CODES[letters[0]] || '';
+    for (let i = 1; i < letters.length && code.length < 4; i++) {
+        const letter = letters[i];
+        // "h" and "w" are skipped without separating letters with the same digit ("Ashcraft" is A261)
+        if (letter === 'h' || letter === 'w') continue;
+        const digit = SOUNDEX_CODES[letter] || '';
+        if (digit && digit !== previous) {
+            code += digit;
+        }
+        previous = digit;
+    }
+    return code.padEnd(4, '0');
+}
+
+/**
+ * Encodes a word with Lawrence Philips' original Metaphone (1990), e.g. "NT" for "Knight"
+ * and "FN" for "phone". "0" stands for "th" and "X" for "sh".
+ *
+ * @param {string} word - The word to encode.
+ * @returns {string} - The code, or "" if the word has no letters.
+ */
+function metaphone(word) {
+    let letters = toBaseLetters(word).replace(/[^A-Z]/g, '');
+    if (letters.length === 0) return '';
+
+    // Initial letter exceptions
+    if (/^(AE|GN|KN|PN|WR)/.test(letters)) {
+        letters = letters.slice(1);
+    } else if (letters[0] === 'X') {
+        letters = `S${letters.slice(1)}`;
+    } else if (letters.startsWith('WH')) {
+        letters = `W${letters.slice(2)}`;
+    }
+
+    const isVowel = char => 'AEIOU'.includes(char || '_');
+    const at = index => letters[index] || '';
+    let code = '';
+    for (let i = 0; i < letters.length; i++) {
+        const char = letters[i];
+        const previous = at(i - 1);
+        const next = at(i + 1);
+        // Doubled letters count once, except "cc" ("accident")
+        if (char === previous && char !== 'C') continue;
+
+        switch (char) {
+            case 'A':
+            case 'E':
+            case 'I':
+            case 'O':
+            case 'U':
+                if (i === 0) code += char;
+                break;
+            case 'B':
+                // Silent in a final "mb" ("dumb")
+                if (!(previous === 'M' && i === letters.length - 1)) code += 'B';
+                break;
+            case 'C':
+                if (next === 'I' && at(i + 2) === 'A') {
+                    code += 'X';
+                } else if (next === 'H') {
+                    code += previous === 'S' ? 'K' : 'X';
+                    i++;
+                } else if ('IEY'.includes(next) && next) {
+                    if (previous !== 'S') code += 'S';
+                } else {
+                    code += 'K';
+                }
+                break;
+            case 'D':
+                if (next === 'G' && 'EIY'.includes(at(i + 2)) && at(i + 2)) {
+                    code += 'J';
+                    i++;
+                } else {
+                    code += 'T';
+                }
+                break;
+            case 'G':
+                if (next === 'H' && !(i + 2 >= letters.length || isVowel(at(i + 2)))) {
+                    // Silent in "-gh-" before a consonant ("night")
+                    break;
+                }
+                if (next === 'N' && (i + 2 === letters.length || (letters.slice(i + 1) === 'NED'))) {
+                    // Silent in final "-gn" and "-gned" ("sign", "signed")
+                    break;
+                }
+                code += 'EIY'.includes(next) && next && previous !== 'G' ? 'J' : 'K';
+                break;
+            case 'H':
+                // Silent after c, s, p, t and g, and after a vowel when no vowel follows
+                if ('CSPTG'.includes(previous) && previous) break;
+                if (isVowel(previous) && !isVowel(next)) break;
+                code += 'H';
+                break;
+            case 'K':
+                if (previous !== 'C') code += 'K';
+                break;
+            case 'P':
+                code += next === 'H' ? 'F' : 'P';
+                break;
+            case 'Q':
+                code += 'K';
+                break;
+            case 'S':
+                if (next === 'H') {
+                    code += 'X';
+                    i++;
+                } else if (next === 'I' && (at(i + 2) === 'O' || at(i + 2) === 'A')) {
+                    code += 'X';
+                } else {
+                    code += 'S';
+                }
+                break;
+            case 'T':
+                if (next === 'I' && (at(i + 2) === 'O' || at(i + 2) === 'A')) {
+                    code += 'X';
+                } else if (next === 'H') {
+                    code += '0';
+                    i++;
+                } else if (!(next === 'C' && at(i + 2) === 'H')) {
+                    code += 'T';
+                }
+                break;
+            case 'V':
+                code += 'F';
+                break;
+            case 'W':
+            case 'Y':
+                if (isVowel(next)) code += char;
+                break;
+            case 'X':
+                code += 'KS';
+                break;
+            case 'Z':
+                code += 'S';
+                break;
+            default:
+                // F, J, L, M, N and R stand for themselves
+                code += char;
+        }
+    }
+    return code;
+}
+
+/**
+ * Encodes a word with Lawrence Philips' Double Metaphone (2000), which also handles spellings
+ * borrowed from Germanic, Slavic, Romance and other languages. Codes are at most four characters.
+ *
+ * @param {string} word - The word to encode.
+ * @returns {Array<string>} - `[primary, alternate]` codes; equal when there is one likely pronunciation.
+ */
+function doubleMetaphone(word) {
+    // "Ç" and "Ñ" have rules of their own
+    const value = String(word)
+        .toUpperCase()
+        .split('')
+        .map(char => (char === 'Ç' || char === 'Ñ' ? char : toBaseLetters(char)))
+        .join('')
+        .replace(/[^A-ZÇÑ ]/g, '')
+        .trim();
+    if (value.length === 0) return ['', ''];
+
+    const length = value.length;
+    const last = length - 1;
+    // Padding lets the rules look past the end of the word
+    const padded = `${value}     `;
+    const isSlavoGermanic = /W|K|CZ|WITZ/.test(value);
+    const isGermanic = /^(VAN |VON |SCH)/.test(value);
+    const at = index => (index < 0 ? '' : padded[index] || '');
+    const isVowel = index => index >= 0 && index < length && 'AEIOUY'.includes(padded[index]);
+    const stringAt = (start, size, ...candidates) => start >= 0 && candidates.includes(padded.substr(start, size));
+
+    let primary = '';
+    let secondary = '';
+    // Mirrors MetaphAdd: a single argument goes to both codes; an alternate of " " adds nothing
+    const add = (main, alternate) => {
+        primary += main;
+        if (alternate === undefined) {
+            secondary += main;
+        } else if (alternate !== ' ') {
+            secondary += alternate;
+        }
+    };
+
+    let current = 0;
+    // Silent first letters
+    if (stringAt(0, 2, 'GN', 'KN', 'PN', 'WR', 'PS')) current++;
+    // Initial "x" is pronounced "z" ("Xavier")
+    if (at(0) === 'X') {
+        add('S');
+        current++;
+    }
+
+    while ((primary.length < 4 || secondary.length < 4) && current < length) {
+        const char = at(current);
+        switch (char) {
+            case 'A':
+            case 'E':
+            case 'I':
+            case 'O':
+            case 'U':
+            case 'Y':
+                // Every initial vowel maps to "A"
+                if (current === 0) add('A');
+                current++;
+                break;
+
+            case 'B':
+                add('P');
+                current += at(current + 1) === 'B' ? 2 : 1;
+                break;
+
+            case 'Ç':
+                add('S');
+                current++;
+                break;
+
+            case 'C':
+                // Germanic "-ach-" ("bacher", "macher")
+                if (current > 1 && !isVowel(current - 2) && stringAt(current - 1, 3, 'ACH') &&
+                    at(current + 2) !== 'I' && (at(current + 2) !== 'E' || stringAt(current - 2, 6, 'BACHER', 'MACHER'))) {
+                    add('K');
+                    current += 2;
+                    break;
+                }
+                // "caesar"
+                if (current === 0 && stringAt(current, 6, 'CAESAR')) {
+                    add('S');
+                    current += 2;
+                    break;
+                }
+                // Italian "chianti"
+                if (stringAt(current, 4, 'CHIA')) {
+                    add('K');
+                    current += 2;
+                    break;
+                }
+                if (stringAt(current, 2, 'CH')) {
+                    // "michael"
+                    if (current > 0 && stringAt(current, 4, 'CHAE')) {
+                        add('K', 'X');
+                        current += 2;
+                        break;
+                    }
+                    // Greek roots ("chemistry", "chorus")
+                    if (current === 0 && (stringAt(current + 1, 5, 'HARAC', 'HARIS') || stringAt(current + 1, 3, 'HOR', 'HYM', 'HIA', 'HEM')) &&
+                        !stringAt(0, 5, 'CHORE')) {
+                        add('K');
+                        current += 2;
+                        break;
+                    }
+                    // Germanic, Greek or otherwise "kh" ("architect", "orchestra", "wachtler")
+                    if (isGermanic || stringAt(current - 2, 6, 'ORCHES', 'ARCHIT', 'ORCHID') || stringAt(current + 2, 1, 'T', 'S') ||
+                        ((stringAt(current - 1, 1, 'A', 'O', 'U', 'E') || current === 0) &&
+                            stringAt(current + 2, 1, 'L', 'R', 'N', 'M', 'B', 'H', 'F', 'V', 'W', ' '))) {
+                        add('K');
+                    } else if (current > 0) {
+                        if (stringAt(0, 2, 'MC')) {
+                            add('K');
+                        } else {
+                            add('X', 'K');
+                        }
+                    } else {
+                        add('X');
+                    }
+                    current += 2;
+                    break;
+                }
+                // "czerny"
+                if (stringAt(current, 2, 'CZ') && !stringAt(current - 2, 4, 'WICZ')) {
+                    add('S', 'X');
+                    current += 2;
+                    break;
+                }
+                // "focaccia"
+                if (stringAt(current + 1, 3, 'CIA')) {
+                    add('X');
+                    current += 3;
+                    break;
+                }
+                // Double "c", but not "McClellan"
+                if (stringAt(current, 2, 'CC') && !(current === 1 && at(0) === 'M')) {
+                    // "bellocchio" but not "bacchus"
+                    if (stringAt(current + 2, 1, 'I', 'E', 'H') && !stringAt(current + 2, 2, 'HU')) {
+                        // "accident", "accede", "succeed"
+                        if ((current === 1 && at(current - 1) === 'A') || stringAt(current - 1, 5, 'UCCEE', 'UCCES')) {
+                            add('KS');
+                        } else {
+                            // "bacci", "bertucci"
+                            add('X');
+                        }
+                        current += 3;
+                        break;
+                    }
+                    // Pierce's rule
+                    add('K');
+                    current += 2;
+                    break;
+                }
+                if (stringAt(current, 2, 'CK', 'CG', 'CQ')) {
+                    add('K');
+                    current += 2;
+                    break;
+                }
+                if (stringAt(current, 2, 'CI', 'CE', 'CY')) {
+                    // Italian vs. English
+                    if (stringAt(current, 3, 'CIO', 'CIE', 'CIA')) {
+                        add('S', 'X');
+                    } else {
+                        add('S');
+                    }
+                    current += 2;
+                    break;
+                }
+                add('K');
+                // "mac caffrey", "mac gregor"
+                if (stringAt(current + 1, 2, ' C', ' Q', ' G')) {
+                    current += 3;
+                } else if (stringAt(current + 1, 1, 'C', 'K', 'Q') && !stringAt(current + 1, 2, 'CE', 'CI')) {
+                    current += 2;
+                } else {
+                    current++;
+                }
+                break;
+
+            case 'D':
+                if (stringAt(current, 2, 'DG')) {
+                    if (stringAt(current + 2, 1, 'I', 'E', 'Y')) {
+                        // "edge"
+                        add('J');
+                        current += 3;
+                    } else {
+                        // "edgar"
+                        add('TK');
+                        current += 2;
+                    }
+                    break;
+                }
+                add('T');
+                current += stringAt(current, 2, 'DT', 'DD') ? 2 : 1;
+                break;
+
+            case 'F':
+                add('F');
+                current += at(current + 1) === 'F' ? 2 : 1;
+                break;
+
+            case 'G':
+                if (at(current + 1) === 'H') {
+                    if (current > 0 && !isVowel(current - 1)) {
+                        add('K');
+                        current += 2;
+                        break;
+                    }
+                    // "ghislane", "ghiradelli"
+                    if (current === 0) {
+                        add(at(current + 2) === 'I' ? 'J' : 'K');
+                        current += 2;
+                        break;
+                    }
+                    // Parker's rule ("hugh", "bough", "broughton")
+                    if ((current > 1 && stringAt(current - 2, 1, 'B', 'H', 'D')) ||
+                        (current > 2 && stringAt(current - 3, 1, 'B', 'H', 'D')) ||
+                        (current > 3 && stringAt(current - 4, 1, 'B', 'H'))) {
+                        current += 2;
+                        break;
+                    }
+                    // "laugh", "McLaughlin", "cough", "gough", "rough", "tough"
+                    if (current > 2 && at(current - 1) === 'U' && stringAt(current - 3, 1, 'C', 'G', 'L', 'R', 'T')) {
+                        add('F');
+                    } else if (current > 0 && at(current - 1) !== 'I') {
+                        add('K');
+                    }
+                    current += 2;
+                    break;
+                }
+                if (at(current + 1) === 'N') {
+                    if (current === 1 && isVowel(0) && !isSlavoGermanic) {
+                        add('KN', 'N');
+                    } else if (!stringAt(current + 2, 2, 'EY') && at(current + 1) !== 'Y' && !isSlavoGermanic) {
+                        // Not "cagney"
+                        add('N', 'KN');
+                    } else {
+                        add('KN');
+                    }
+                    current += 2;
+                    break;
+                }
+                // "tagliaro"
+                if (stringAt(current + 1, 2, 'LI') && !isSlavoGermanic) {
+                    add('KL', 'L');
+                    current += 2;
+                    break;
+                }
+                // "-ges-", "-gep-", "-gel-", "-gie-" at the beginning
+                if (current === 0 && (at(current + 1) === 'Y' ||
+                    stringAt(current + 1, 2, 'ES', 'EP', 'EB', 'EL', 'EY', 'IB', 'IL', 'IN', 'IE', 'EI', 'ER'))) {
+                    add('K', 'J');
+                    current += 2;
+                    break;
+                }
+                // "-ger-", "-gy-"
+                if ((stringAt(current + 1, 2, 'ER') || at(current + 1) === 'Y') && !stringAt(0, 6, 'DANGER', 'RANGER', 'MANGER') &&
+                    !stringAt(current - 1, 1, 'E', 'I') && !stringAt(current - 1, 3, 'RGY', 'OGY')) {
+                    add('K', 'J');
+                    current += 2;
+                    break;
+                }
+                // Italian "biaggi"
+                if (stringAt(current + 1, 1, 'E', 'I', 'Y') || stringAt(current - 1, 4, 'AGGI', 'OGGI')) {
+                    if (isGermanic || stringAt(current + 1, 2, 'ET')) {
+                        add('K');
+                    } else if (stringAt(current + 1, 4, 'IER ')) {
+                        // Always soft with a French ending
+                        add('J');
+                    } else {
+                        add('J', 'K');
+                    }
+                    current += 2;
+                    break;
+                }
+                add('K');
+                current += at(current + 1) === 'G' ? 2 : 1;
+                break;
+
+            case 'H':
+                // Only kept when first or between vowels, and followed by a vowel
+                if ((current === 0 || isVowel(current - 1)) && isVowel(current + 1)) {
+                    add('H');
+                    current += 2;
+                } else {
+                    current++;
+                }
+                break;
+
+            case 'J':
+                // Spanish "jose", "san jacinto"
+                if (stringAt(current, 4, 'JOSE') || stringAt(0, 4, 'SAN ')) {
+                    if ((current === 0 && at(current + 4) === ' ') || stringAt(0, 4, 'SAN ')) {
+                        add('H');
+                    } else {
+                        add('J', 'H');
+                    }
+                    current++;
+                    break;
+                }
+                if (current === 0) {
+                    // "Yankelovich" / "Jankelowicz"
+                    add('J', 'A');
+                } else if (isVowel(current - 1) && !isSlavoGermanic && (at(current + 1) === 'A' || at(current + 1) === 'O')) {
+                    // Spanish "bajador"
+                    add('J', 'H');
+                } else if (current === last) {
+                    add('J', ' ');
+                } else if (!stringAt(current + 1, 1, 'L', 'T', 'K', 'S', 'N', 'M', 'B', 'Z') && !stringAt(current - 1, 1, 'S', 'K', 'L')) {
+                    add('J');
+                }
+                current += at(current + 1) === 'J' ? 2 : 1;
+                break;
+
+            case 'K':
+                add('K');
+                current += at(current + 1) === 'K' ? 2 : 1;
+                break;
+
+            case 'L':
+                if (at(current + 1) === 'L') {
+                    // Spanish "cabrillo", "gallegos"
+                    if ((current === length - 3 && stringAt(current - 1, 4, 'ILLO', 'ILLA', 'ALLE')) ||
+                        ((stringAt(last - 1, 2, 'AS', 'OS') || stringAt(last, 1, 'A', 'O')) && stringAt(current - 1, 4, 'ALLE'))) {
+                        add('L', ' ');
+                        current += 2;
+                        break;
+                    }
+                    current += 2;
+                } else {
+                    current++;
+                }
+                add('L');
+                break;
+
+            case 'M':
+                // "dumb", "thumb"
+                if ((stringAt(current - 1, 3, 'UMB') && (current + 1 === last || stringAt(current + 2, 2, 'ER'))) || at(current + 1) === 'M') {
+                    current += 2;
+                } else {
+                    current++;
+                }
+                add('M');
+                break;
+
+            case 'N':
+                add('N');
+                current += at(current + 1) === 'N' ? 2 : 1;
+                break;
+
+            case 'Ñ':
+                add('N');
+                current++;
+                break;
+
+            case 'P':
+                if (at(current + 1) === 'H') {
+                    add('F');
+                    current += 2;
+                    break;
+                }
+                // "campbell", "raspberry"
+                add('P');
+                current += stringAt(current + 1, 1, 'P', 'B') ? 2 : 1;
+                break;
+
+            case 'Q':
+                add('K');
+                current += at(current + 1) === 'Q' ? 2 : 1;
+                break;
+
+            case 'R':
+                // French "rogier", but not "hochmeier"
+                if (current === last && !isSlavoGermanic && stringAt(current - 2, 2, 'IE') && !stringAt(current - 4, 2, 'ME', 'MA')) {
+                    add('', 'R');
+                } else {
+                    add('R');
+                }
+                current += at(current + 1) === 'R' ? 2 : 1;
+                break;
+
+            case 'S':
+                // "island", "isle", "carlisle", "carlysle"
+                if (stringAt(current - 1, 3, 'ISL', 'YSL')) {
+                    current++;
+                    break;
+                }
+                // "sugar-"
+                if (current === 0 && stringAt(current, 5, 'SUGAR')) {
+                    add('X', 'S');
+                    current++;
+                    break;
+                }
+                if (stringAt(current, 2, 'SH')) {
+                    // Germanic
+                    add(stringAt(current + 1, 4, 'HEIM', 'HOEK', 'HOLM', 'HOLZ') ? 'S' : 'X');
+                    current += 2;
+                    break;
+                }
+                // Italian and Armenian
+                if (stringAt(current, 3, 'SIO', 'SIA') || stringAt(current, 4, 'SIAN')) {
+                    if (isSlavoGermanic) {
+                        add('S');
+                    } else {
+                        add('S', 'X');
+                    }
+                    current += 3;
+                    break;
+                }
+                // German and anglicisations ("smith" matches "schmidt", "snider" matches "schneider"); Slavic "-sz-"
+                if ((current === 0 && stringAt(current + 1, 1, 'M', 'N', 'L', 'W')) || stringAt(current + 1, 1, 'Z')) {
+                    add('S', 'X');
+                    current += stringAt(current + 1, 1, 'Z') ? 2 : 1;
+                    break;
+                }
+                if (stringAt(current, 2, 'SC')) {
+                    // Schlesinger's rule
+                    if (at(current + 2) === 'H') {
+                        // Dutch "school", "schooner"
+                        if (stringAt(current + 3, 2, 'OO', 'ER', 'EN', 'UY', 'ED', 'EM')) {
+                            // "schermerhorn", "schenker"
+                            if (stringAt(current + 3, 2, 'ER', 'EN')) {
+                                add('X', 'SK');
+                            } else {
+                                add('SK');
+                            }
+                        } else if (current === 0 && !isVowel(3) && at(3) !== 'W') {
+                            add('X', 'S');
+                        } else {
+                            add('X');
+                        }
+                        current += 3;
+                        break;
+                    }
+                    add(stringAt(current + 2, 1, 'I', 'E', 'Y') ? 'S' : 'SK');
+                    current += 3;
+                    break;
+                }
+                // French "resnais", "artois"
+                if (current === last && stringAt(current - 2, 2, 'AI', 'OI')) {
+                    add('', 'S');
+                } else {
+                    add('S');
+                }
+                current += stringAt(current + 1, 1, 'S', 'Z') ? 2 : 1;
+                break;
+
+            case 'T':
+                if (stringAt(current, 4, 'TION') || stringAt(current, 3, 'TIA', 'TCH')) {
+                    add('X');
+                    current += 3;
+                    break;
+                }
+                if (stringAt(current, 2, 'TH') || stringAt(current, 3, 'TTH')) {
+                    // "thomas", "thames" or Germanic
+                    if (stringAt(current + 2, 2, 'OM', 'AM') || isGermanic) {
+                        add('T');
+                    } else {
+                        add('0', 'T');
+                    }
+                    current += 2;
+                    break;
+                }
+                add('T');
+                current += stringAt(current + 1, 1, 'T', 'D') ? 2 : 1;
+                break;
+
+            case 'V':
+                add('F');
+                current += at(current + 1) === 'V' ? 2 : 1;
+                break;
+
+            case 'W':
+                if (stringAt(current, 2, 'WR')) {
+                    add('R');
+                    current += 2;
+                    break;
+                }
+                if (current === 0 && (isVowel(current + 1) || stringAt(current, 2, 'WH'))) {
+                    // "Wasserman" matches "Vasserman"; "Uomo" matches "Womo"
+                    if (isVowel(current + 1)) {
+                        add('A', 'F');
+                    } else {
+                        add('A');
+                    }
+                }
+                // "Arnow" matches "Arnoff"
+                if ((current === last && isVowel(current - 1)) || stringAt(current - 1, 5, 'EWSKI', 'EWSKY', 'OWSKI', 'OWSKY') ||
+                    stringAt(0, 3, 'SCH')) {
+                    add('', 'F');
+                    current++;
+                    break;
+                }
+                // Polish "filipowicz"
+                if (stringAt(current, 4, 'WICZ', 'WITZ')) {
+                    add('TS', 'FX');
+                    current += 4;
+                    break;
+                }
+                current++;
+                break;
+
+            case 'X':
+                // French "breaux"
+                if (!(current === last && (stringAt(current - 3, 3, 'IAU', 'EAU') || stringAt(current - 2, 2, 'AU', 'OU')))) {
+                    add('KS');
+                }
+                current += stringAt(current + 1, 1, 'C', 'X') ? 2 : 1;
+                break;
+
+            case 'Z':
+                // Chinese pinyin "zhao"
+                if (at(current + 1) === 'H') {
+                    add('J');
+                    current += 2;
+                    break;
+                }
+                if (stringAt(current + 1, 2, 'ZO', 'ZI', 'ZA') || (isSlavoGermanic && current > 0 && at(current - 1) !== 'T')) {
+                    add('S', 'TS');
+                } else {
+                    add('S');
+                }
+                current += at(current + 1) === 'Z' ? 2 : 1;
+                break;
+
+            default:
+                current++;
+        }
+    }
+
+    return [primary.slice(0, 4), secondary.slice(0, 4)];
+}
+
+/**
+ * Encodes a word with the original New York State Identification and Intelligence System
+ * algorithm (1970), e.g. "MATCAL" for "Mitchell". Codes are at most six characters.
+ *
+ * @param {string} word - The word to encode.
+ * @returns {string} - The code, or "" if the word has no letters.
+ */
+function nysiis(word) {
+    let name = toBaseLetters(word).replace(/[^A-Z]/g, '');
+    if (name.length === 0) return '';
+
+    // Translate the first and last characters
+    name = name
+        .replace(/^MAC/, 'MCC')
+        .replace(/^KN/, 'NN')
+        .replace(/^K/, 'C')
+        .replace(/^(PH|PF)/, 'FF')
+        .replace(/^SCH/, 'SSS')
+        .replace(/(EE|IE)$/, 'Y')
+        .replace(/(DT|RT|RD|NT|ND)$/, 'D');
+
+    const isVowel = char => 'AEIOU'.includes(char || '_');
+    const chars = name.split('');
+    let key = chars[0];
+    for (let i = 1; i < chars.length; i++) {
+        const char = chars[i];
+        if (char === 'E' && chars[i + 1] === 'V') {
+            chars[i] = 'A';
+            chars[i + 1] = 'F';
+        } else if (isVowel(char)) {
+            chars[i] = 'A';
+        } else if (char === 'Q') {
+            chars[i] = 'G';
+        } else if (char === 'Z') {
+            chars[i] = 'S';
+        } else if (char === 'M') {
+            chars[i] = 'N';
+        } else if (char === 'K') {
+            chars[i] = chars[i + 1] === 'N' ? 'N' : 'C';
+        } else if (char === 'S' && chars[i + 1] === 'C' && chars[i + 2] === 'H') {
+            chars[i + 1] = 'S';
+            chars[i + 2] = 'S';
+        } else if (char === 'P' && chars[i + 1] === 'H') {
+            chars[i] = 'F';
+            chars[i + 1] = 'F';
+        } else if (char === 'H' && (!isVowel(chars[i - 1]) || !isVowel(chars[i + 1]))) {
+            chars[i] = chars[i - 1];
+        } else if (char === 'W' && isVowel(chars[i - 1])) {
+            chars[i] = chars[i - 1];
+        }
+        if (chars[i] !== key[key.length - 1]) {
+            key += chars[i];
+        }
+    }
+
+    // Translate the last characters of the key
+    if (key.length > 1 && key.endsWith('S')) key = key.slice(0, -1);
+    if (key.length > 2 && key.endsWith('AY')) key = `${key.slice(0, -2)}Y`;
+    if (key.length > 1 && key.endsWith('A')) key = key.slice(0, -1);
+    return key.slice(0, 6);
+}
+
+/**
+ * Encodes a word with Cologne phonetics (Kölner Phonetik), designed for German: a string
+ * of digits, e.g. "65752682" for "Müller-Lüdenscheidt".
+ *
+ * @param {string} word - The word to encode.
+ * @returns {string} - The code, or "" if the word has no letters.
+ */
+function cologne(word) {
+    const letters = String(word)
+        .toUpperCase()
+        .replace(/Ä/g, 'A')
+        .replace(/Ö/g, 'O')
+        .replace(/Ü/g, 'U')
+        .replace(/ß/g, 'S')
+        .replace(/[^A-Z]/g, '');
+    if (letters.length === 0) return '';
+
+    const digits = [];
+    for (let i = 0; i < letters.length; i++) {
+        const char = letters[i];
+        const previous = letters[i - 1] || '';
+        const next = letters[i + 1] || '';
+        let digit;
+        if ('AEIJOUY'.includes(char)) {
+            digit = '0';
+        } else if (char === 'H') {
+            // "h" has no code and does not separate the codes around it
+            continue;
+        } else if (char === 'B') {
+            digit = '1';
+        } else if (char === 'P') {
+            digit = next === 'H' ? '3' : '1';
+        } else if (char === 'D' || char === 'T') {
+            digit = 'CSZ'.includes(next) && next ? '8' : '2';
+        } else if ('FVW'.includes(char)) {
+            digit = '3';
+        } else if ('GKQ'.includes(char)) {
+            digit = '4';
+        } else if (char === 'C') {
+            if (i === 0) {
+                digit = 'AHKLOQRUX'.includes(next) && next ? '4' : '8';
+            } else {
+                digit = 'AHKOQUX'.includes(next) && next && !'SZ'.includes(previous) ? '4' : '8';
+            }
+        } else if (char === 'X') {
+            digit = 'CKQ'.includes(previous) && previous ? '8' : '48';
+        } else if (char === 'L') {
+            digit = '5';
+        } else if (char === 'M' || char === 'N') {
+            digit = '6';
+        } else if (char === 'R') {
+            digit = '7';
+        } else {
+            // S and Z
+            digit = '8';
+        }
+        digits.push(digit);
+    }
+
+    // Merge repeated digits, then drop every "0" but a leading one
+    const merged = digits.join('').split('').filter((digit, index, all) => index === 0 || digit !== all[index - 1]);
+    return merged.filter((digit, index) => digit !== '0' || index === 0).join('');
+}
+
+/**
+ * Encoders selectable by name with the `phoneticAlgorithm` option. Double Metaphone uses its primary code.
+ */
+const PHONETIC_ALGORITHMS = {
+    soundex,
+    metaphone,
+    doubleMetaphone: word => doubleMetaphone(word)[0],
+    nysiis,
+    cologne
+};
+
+/**
+ * Resolves the `phoneticAlgorithm` option to an encoder.
+ *
+ * @param {string|function} [algorithm='soundex'] - (Optional) A name from PHONETIC_ALGORITHMS, or a
+ *   function returning the code of a word.
+ * @returns {{name: string, encode: function(string): string}} - The algorithm name ("custom" for
+ *   functions) and an encoder that always returns a string.
+ * @throws {InvalidOptionError} - If the algorithm is unknown.
+ */
+function createPhoneticEncoder(algorithm = 'soundex') {
+    if (typeof algorithm === 'function') {
+        return {
+            name: 'custom',
+            encode: word => {
+                // null or undefined means the word has no code, like an empty string
+                const code = algorithm(word);
+                return code === null || code === undefined ? '' : String(code);
+            }
+        };
+    }
+    if (!Object.prototype.hasOwnProperty.call(PHONETIC_ALGORITHMS, algorithm)) {
+        throw new InvalidOptionError(
+            `Unknown phonetic algorithm '${algorithm}'. Use one of: ${Object.keys(PHONETIC_ALGORITHMS).join(', ')}, or a function.`,
+            { option: 'phoneticAlgorithm' }
+        );
+    }
+    return { name: algorithm, encode: PHONETIC_ALGORITHMS[algorithm] };
+}
+
+/**
+ * Encodes a word with one of the phonetic algorithms.
+ *
+ * @param {string} word - The word to encode.
+ * @param {string|function} [algorithm='soundex'] - (Optional) Algorithm name or custom encoder, as for `phoneticAlgorithm`.
+ * @returns {string} - The phonetic code.
+ * @throws {InvalidOptionError} - If the algorithm is unknown.
+ */
+function getPhoneticCode(word, algorithm = 'soundex') {
+    return createPhoneticEncoder(algorithm).encode(word);
+}
+
+module.exports = {
+    PHONETIC_ALGORITHMS,
+    cologne,
+    createPhoneticEncoder,
+    doubleMetaphone,
+    getPhoneticCode,
+    metaphone,
+    nysiis,
+    soundex
+};
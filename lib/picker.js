@@ -0,0 +1,197 @@
+// /word-picker/lib/picker.js
+
+const { getWordPool, getWords } = require('./core');
+const { InvalidOptionError } = require('./errors');
+const { getWordText, isWordEntry } = require('./entries');
+const { loadWordList } = require('./loader');
+const { collectOptionIssues, createOptionsError } = require('./options');
+const { createSecureRng, createSeededRng } = require('./random');
+
+// Options each picker manages itself, and the constructor setting that replaces each of them
+const PICKER_OPTIONS = { history: 'history', rng: 'rng', seed: 'rng' };
+
+/**
+ * Throws if options set one of PICKER_OPTIONS.
+ *
+ * @param {Object} options - Defaults or overrides.
+ * @param {string} name - What the options are, for the error message.
+ * @throws {InvalidOptionError} - If a managed option is set.
+ */
+function assertNoPickerOptions(options, name) {
+    const managed = Object.keys(PICKER_OPTIONS).find(option => options !== null && typeof options === 'object' && options[option] !== undefined);
+    if (managed) {
+        throw new InvalidOptionError(
+            `'${managed}' cannot be set in ${name}; pass it to the WordPicker constructor as config.${PICKER_OPTIONS[managed]}.`,
+            { option: managed }
+        );
+    }
+}
+
+/**
+ * Normalizes the words argument of addWords and removeWords.
+ *
+ * @param {string|Object|Array<string|Object>} words - One entry or an array of entries.
+ * @returns {Array<string|Object>} - The entries.
+ * @throws {InvalidOptionError} - If an entry is not a word or word object.
+ */
+function toEntries(words) {
+    const entries = Array.isArray(words) ? words : [words];
+    const invalidEntry = entries.findIndex(entry => !isWordEntry(entry));
+    if (invalidEntry !== -1) {
+        throw new InvalidOptionError(
+            `Entry ${invalidEntry} must be a non-empty string or an object with a non-empty 'word' string.`,
+            { option: 'words' }
+        );
+    }
+    return entries;
+}
+
+/**
+ * Builds the getWords options of a picker call.
+ *
+ * @param {WordPicker} picker - The picker.
+ * @param {Object} overrides - Options of the call.
+ * @returns {Object} - Defaults, overrides, and the picker's history and random source.
+ * @throws {InvalidOptionError} - If overrides is not an object or sets a managed option.
+ */
+function resolveOptions(picker, overrides) {
+    if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new InvalidOptionError('Overrides must be an object of getWords options.', { option: 'overrides' });
+    }
+    assertNoPickerOptions(overrides, 'overrides');
+    const options = Object.assign({}, picker.defaults, overrides, { history: picker.history });
+    // A custom shuffle replaces the random source
+    if (options.customShuffle === undefined) {
+        options.rng = picker.rng;
+    }
+    return options;
+}
+
+/**
+ * A word picker with its own word list, default options, random source and history, so that
+ * separate tenants of one process get isolated pickers. Words returned by `pick` are added to
+ * the history and never returned again until `reset()`.
+ *
+ * @example
+ * const picker = new WordPicker({ defaults: { lengthMin: 4, caseOption: 'lower' } });
+ * picker.pick(6);                               // six words
+ * picker.pick(4, { filterStartsWith: ['a'] });  // four more, none seen before
+ */
+class WordPicker {
+    /**
+     * @param {Object} [config] - (Optional) Picker settings:
+     * @param {Array<string|Object>|string} [config.words] - (Optional) Word list array or file path, loaded once.
+     *   Defaults to the bundled list. Arrays are copied, so later changes by the caller do not affect the picker.
+     * @param {Object} [config.defaults={}] - (Optional) getWords options for every call; overrides passed to pick and count win.
+     * @param {number|string|Object} [config.rng] - (Optional) A seed for a reproducible picker (must not be used for secrets),
+     *   or an object with a `nextInt(max)` method. Defaults to Node's crypto CSPRNG.
+     * @param {Set} [config.history] - (Optional) Store of issued words (lowercased), e.g. a Set shared with another component.
+     *   Anything with has/add methods works; `clear` is used by reset(). Defaults to a new Set.
+     * @throws {WordPickerError} - InvalidOptionError for bad settings, WordListLoadError if the list cannot be loaded.
+     */
+    constructor(config = {}) {
+        const { words, defaults = {}, rng, history = new Set() } = config;
+
+        assertNoPickerOptions(defaults, 'defaults');
+        const issues = collectOptionIssues(defaults);
+        if (issues.length > 0) {
+            throw createOptionsError(issues);
+        }
+        if (history === null || typeof history !== 'object' || typeof history.has !== 'function' || typeof history.add !== 'function') {
+            throw new InvalidOptionError("'history' must be a Set (or an object with has/add methods).", { option: 'history' });
+        }
+        const seeded = (typeof rng === 'number' && Number.isFinite(rng)) || (typeof rng === 'string' && rng.length > 0);
+        if (rng !== undefined && !seeded && !(rng !== null && typeof rng === 'object' && typeof rng.nextInt === 'function')) {
+            throw new InvalidOptionError("'rng' must be a seed (number or string) or an object with a nextInt(max) method.", { option: 'rng' });
+        }
+
+        this.defaults = Object.freeze(Object.assign({}, defaults));
+        this.history = history;
+        // Loaded lists are frozen and shared through the loader cache; addWords/removeWords replace, never mutate, the array
+        this.words = Array.isArray(words) ? Object.freeze(toEntries(words).slice()) : loadWordList(words);
+        this.seed = seeded ? rng : undefined;
+        this.rng = seeded ? createSeededRng(rng) : (rng || createSecureRng());
+    }
+
+    /**
+     * Picks words that this picker has not returned before.
+     *
+     * @param {number} [count] - Number of words. May be omitted when `targetEntropyBits` is set.
+     * @param {Object} [overrides] - (Optional) getWords options for this call only.
+     * @returns {Array|string} - The words, as returned by getWords.
+     * @throws {WordPickerError} - InvalidOptionError or InsufficientWordsError.
+     */
+    pick(count, overrides = {}) {
+        return getWords(resolveOptions(this, overrides), count, this.words);
+    }
+
+    /**
+     * Counts the words `pick` could still return with some options: the filtered pool, minus
+     * the words already in the history.
+     *
+     * @param {Object} [options] - (Optional) getWords options, applied over the defaults.
+     * @returns {number} - Size of the pool.
+     * @throws {InvalidOptionError} - If the options are invalid.
+     */
+    count(options = {}) {
+        return getWordPool(resolveOptions(this, options), this.words).length;
+    }
+
+    /**
+     * Forgets every issued word, and restarts a seeded random source from its seed.
+     *
+     * @returns {WordPicker} - This picker.
+     */
+    reset() {
+        if (typeof this.history.clear === 'function') {
+            this.history.clear();
+        } else {
+            this.history = new Set();
+        }
+        if (this.seed !== undefined) {
+            this.rng = createSeededRng(this.seed);
+        }
+        return this;
+    }
+
+    /**
+     * Adds words to this picker's list. Words already in the list (ignoring case) are skipped.
+     *
+     * @param {string|Object|Array<string|Object>} words - A word, a word object, or an array of them.
+     * @returns {number} - Number of words added.
+     * @throws {InvalidOptionError} - If an entry is not a word or word object.
+     */
+    addWords(words) {
+        const known = new Set(this.words.map(entry => getWordText(entry).toLowerCase()));
+        const added = toEntries(words).filter(entry => {
+            const lowerWord = getWordText(entry).toLowerCase();
+            if (known.has(lowerWord)) return false;
+            known.add(lowerWord);
+            return true;
+        });
+        if (added.length > 0) {
+            this.words = Object.freeze(this.words.concat(added));
+        }
+        return added.length;
+    }
+
+    /**
+     * Removes words from this picker's list, ignoring case. Other pickers using the same list
+     * file are not affected.
+     *
+     * @param {string|Object|Array<string|Object>} words - A word, a word object, or an array of them.
+     * @returns {number} - Number of words removed.
+     * @throws {InvalidOptionError} - If an entry is not a word or word object.
+     */
+    removeWords(words) {
+        const removed = new Set(toEntries(words).map(entry => getWordText(entry).toLowerCase()));
+        const kept = this.words.filter(entry => !removed.has(getWordText(entry).toLowerCase()));
+        const count = this.words.length - kept.length;
+        if (count > 0) {
+            this.words = Object.freeze(kept);
+        }
+        return count;
+    }
+}
+
+module.exports = { WordPicker };
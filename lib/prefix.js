@@ -0,0 +1,100 @@
+// /word-picker/lib/prefix.js
+
+const { InvalidOptionError } = require('./errors');
+const { getWordText, isWordEntry } = require('./entries');
+const { loadWordList } = require('./loader');
+
+/**
+ * Checks a prefix length argument.
+ *
+ * @param {*} prefixLength - Value to check.
+ * @throws {InvalidOptionError} - If it is not a positive integer.
+ */
+function assertPrefixLength(prefixLength) {
+    if (!Number.isInteger(prefixLength) || prefixLength < 1) {
+        throw new InvalidOptionError("'prefixLength' must be a positive integer.", { option: 'prefixLength' });
+    }
+}
+
+/**
+ * Resolves the words argument of the helpers below.
+ *
+ * @param {Array<string|Object>|string} [words] - Word list, path of a word list file, or nothing for the bundled list.
+ * @returns {Array<string|Object>} - The word list.
+ */
+function resolveWords(words) {
+    if (Array.isArray(words)) {
+        const invalidEntry = words.findIndex(entry => !isWordEntry(entry));
+        if (invalidEntry !== -1) {
+            throw new InvalidOptionError(
+                `Word list entry ${invalidEntry} must be a non-empty string or an object with a non-empty 'word' string.`,
+                { option: 'words' }
+            );
+        }
+        return words;
+    }
+    return loadWordList(typeof words === 'string' ? words : undefined);
+}
+
+/**
+ * Returns the part of a word that identifies it in a unique-prefix set: its first
+ * `prefixLength` letters, lowercased. Shorter words are identified by the whole word.
+ *
+ * @param {string} word - The word.
+ * @param {number} prefixLength - Number of letters.
+ * @returns {string} - The prefix.
+ */
+function getPrefixKey(word, prefixLength) {
+    return word.toLowerCase().slice(0, prefixLength);
+}
+
+/**
+ * Derives a subset of a word list in which every word is uniquely identified by its first
+ * `prefixLength` letters, like the BIP39 word lists with their 4-letter rule. The first word
+ * of the list is kept for every prefix; later words with the same prefix are dropped. A word
+ * shorter than `prefixLength` is entered in full, so "act" and "action" can both be kept.
+ *
+ * @param {Array<string|Object>|string} [words] - (Optional) Word list or path of a word list file. Defaults to the bundled list.
+ * @param {number} [prefixLength=4] - (Optional) Number of letters that identify a word.
+ * @returns {Array<string|Object>} - The kept entries, in list order.
+ * @throws {WordPickerError} - InvalidOptionError for a bad argument, WordListLoadError if the list cannot be loaded.
+ */
+function deriveUniquePrefixSet(words, prefixLength = 4) {
+    assertPrefixLength(prefixLength);
+    const seenPrefixes = new Set();
+    return resolveWords(words).filter(entry => {
+        const key = getPrefixKey(getWordText(entry), prefixLength);
+        if (seenPrefixes.has(key)) return false;
+        seenPrefixes.add(key);
+        return true;
+    });
+}
+
+/**
+ * Expands an abbreviated word back to the full word of a unique-prefix set. The input may be
+ * the first `prefixLength` letters, the whole word, or anything in between; case is ignored.
+ *
+ * @param {string} prefix - What the user typed.
+ * @param {Array<string|Object>|string} [words] - (Optional) The unique-prefix set the phrase was drawn from, e.g. the result of
+ *   deriveUniquePrefixSet or a list file. Defaults to the bundled list.
+ * @param {number} [prefixLength=4] - (Optional) Number of letters that identify a word.
+ * @returns {string|null} - The full word, or null if no word (or more than one word) matches.
+ */
+function resolvePrefix(prefix, words, prefixLength = 4) {
+    assertPrefixLength(prefixLength);
+    const typed = String(prefix).trim().toLowerCase();
+    if (typed.length === 0) return null;
+
+    const key = getPrefixKey(typed, prefixLength);
+    const matches = new Map();
+    resolveWords(words).forEach(entry => {
+        const word = getWordText(entry);
+        const lowerWord = word.toLowerCase();
+        if (getPrefixKey(lowerWord, prefixLength) === key && lowerWord.startsWith(typed) && !matches.has(lowerWord)) {
+            matches.set(lowerWord, word);
+        }
+    });
+    return matches.size === 1 ? matches.values().next().value : null;
+}
+
+module.exports = { deriveUniquePrefixSet, getPrefixKey, resolvePrefix };
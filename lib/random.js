@@ -0,0 +1,143 @@
+// /word-picker/lib/random.js
+
+const crypto = require('crypto');
+
+// Number of random bytes fetched from the CSPRNG at a time
+const RANDOM_POOL_SIZE = 256;
+
+// 2^32, the range of a single uint32 draw
+const UINT32_RANGE = 0x100000000;
+
+// Seeded generator identity; bump the version if the seed derivation or output ever changes
+const SEEDED_ALGORITHM = 'sfc32';
+const SEEDED_ALGORITHM_VERSION = 1;
+
+// Outputs discarded after seeding so the first draws are well mixed
+const SEEDED_WARMUP_ROUNDS = 12;
+
+/**
+ * Returns an unbiased integer in the range [0, max) using rejection sampling.
+ *
+ * @param {function} nextUint32 - Function returning a uniformly distributed 32-bit unsigned integer.
+ * @param {number} max - Exclusive upper bound (1 to 2^32).
+ * @returns {number} - An integer in [0, max).
+ */
+function uniformInt(nextUint32, max) {
+    if (!Number.isInteger(max) || max <= 0 || max > UINT32_RANGE) {
+        throw new RangeError(`'max' must be an integer between 1 and ${UINT32_RANGE}.`);
+    }
+    // Discard draws from the incomplete final block to avoid modulo bias
+    const limit = UINT32_RANGE - (UINT32_RANGE % max);
+    let value;
+    do {
+        value = nextUint32();
+    } while (value >= limit);
+    return value % max;
+}
+
+/**
+ * Creates a random number generator backed by Node's crypto module.
+ *
+ * @returns {Object} - An RNG with `nextUint32()`, `nextInt(max)` and a `describe()` method for metadata.
+ */
+function createSecureRng() {
+    let buffer = Buffer.alloc(0);
+    let offset = 0;
+
+    const nextUint32 = () => {
+        if (offset + 4 > buffer.length) {
+            buffer = crypto.randomBytes(RANDOM_POOL_SIZE);
+            offset = 0;
+        }
+        const value = buffer.readUInt32BE(offset);
+        offset += 4;
+        return value;
+    };
+
+    return {
+        nextUint32,
+        nextInt: (max) => uniformInt(nextUint32, max),
+        describe: () => ({
+            algorithm: 'crypto.randomBytes',
+            sampling: 'rejection',
+            secure: true
+        })
+    };
+}
+
+/**
+ * Creates a deterministic random number generator from a seed.
+ *
+ * The seed is converted to a string and hashed with SHA-256; the first 16 bytes of the
+ * digest seed an sfc32 generator. Only 32-bit integer arithmetic is used, so the same seed
+ * yields the same sequence on every Node version. The output is predictable by design and
+ * must never be used for secrets.
+ *
+ * @param {number|string} seed - Finite number or non-empty string.
+ * @returns {Object} - An RNG with `nextUint32()`, `nextInt(max)` and a `describe()` method for metadata.
+ */
+function createSeededRng(seed) {
+    if (!(typeof seed === 'number' && Number.isFinite(seed)) && !(typeof seed === 'string' && seed.length > 0)) {
+        throw new TypeError("'seed' must be a finite number or a non-empty string.");
+    }
+
+    const digest = crypto.createHash('sha256').update(String(seed), 'utf8').digest();
+    let a = digest.readUInt32BE(0);
+    let b = digest.readUInt32BE(4);
+    let c = digest.readUInt32BE(8);
+    let d = digest.readUInt32BE(12);
+
+    // sfc32 (Small Fast Counting generator) by Chris Doty-Humphrey
+    const nextUint32 = () => {
+        const t = (((a + b) | 0) + d) | 0;
+        d = (d + 1) | 0;
+        a = b ^ (b >>> 9);
+        b = (c + (c << 3)) | 0;
+        c = (c << 21) | (c >>> 11);
+        c = (c + t) | 0;
+        return t >>> 0;
+    };
+
+    for (let i = 0; i < SEEDED_WARMUP_ROUNDS; i++) {
+        nextUint32();
+    }
+
+    return {
+        nextUint32,
+        nextInt: (max) => uniformInt(nextUint32, max),
+        describe: () => ({
+            algorithm: SEEDED_ALGORITHM,
+            version: SEEDED_ALGORITHM_VERSION,
+            seed,
+            sampling: 'rejection',
+            secure: false,
+            warning: 'Seeded output is reproducible and must not be used for secrets.'
+        })
+    };
+}
+
+/**
+ * Returns an index drawn with a probability proportional to its weight.
+ *
+ * Integer weights are drawn exactly with `nextInt`; fractional ones from a 32-bit fraction of the total.
+ *
+ * @param {Object} rng - An RNG with a `nextInt(max)` method.
+ * @param {Array<number>} weights - Finite, non-negative weights, at least one of them positive.
+ * @param {number} totalWeight - The sum of `weights`.
+ * @returns {number} - An index into `weights`.
+ */
+function weightedIndex(rng, weights, totalWeight) {
+    const exact = Number.isInteger(totalWeight) && totalWeight <= UINT32_RANGE && weights.every(Number.isInteger);
+    const target = exact ? rng.nextInt(totalWeight) : (rng.nextInt(UINT32_RANGE) / UINT32_RANGE) * totalWeight;
+    let cumulative = 0;
+    for (let i = 0; i < weights.length; i++) {
+        cumulative += weights[i];
+        if (target < cumulative) return i;
+    }
+    // Rounding can leave a fractional target just past the last sum: fall back to the last positive weight
+    let last = weights.length - 1;
+    while (last > 0 && weights[last] <= 0) last--;
+    return last;
+}
+
+module.exports = { createSecureRng, createSeededRng, uniformInt, weightedIndex };
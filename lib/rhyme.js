@@ -0,0 +1,591 @@
+// /word-picker/lib/rhyme.js
+
+/**
+ * Rhyme detection from spelling.
+ *
+ * Words are converted to phonemes (ARPAbet symbols, as used by the CMU Pronouncing Dictionary)
+ * with letter-to-sound rules, the stressed syllable is guessed, and the "rime" - the sounds
+ * from the last stressed vowel to the end of the word - is compared. Words the rules get
+ * wrong are listed in RHYME_EXCEPTIONS.
+ */
+
+const { InvalidOptionError } = require('./errors');
+
+const VOWEL_PHONEMES = new Set(['AA', 'AE', 'AH', 'AO', 'AW', 'AY', 'EH', 'ER', 'EY', 'IH', 'IY', 'OW', 'OY', 'UH', 'UW']);
+const LONG_PHONEMES = new Set(['AO', 'AW', 'AY', 'ER', 'EY', 'IY', 'OW', 'OY', 'UW']);
+const VOICELESS_PHONEMES = new Set(['CH', 'F', 'K', 'P', 'S', 'SH', 'T', 'TH']);
+const SHORT_PHONEMES = new Set(['AE', 'AH', 'EH', 'IH', 'UH']);
+
+// Levels accepted by rhymes and createRhymeMatcher
+const RHYME_LEVELS = ['perfect', 'slant'];
+
+/**
+ * Rimes of words the spelling rules get wrong. Inflected forms ("-s", "-ed", "-ing") of these
+ * words are derived automatically.
+ */
+const RHYME_EXCEPTIONS = {
+    above: 'AH V',
+    allow: 'AW',
+    are: 'AA R',
+    as: 'AE Z',
+    bear: 'EH R',
+    been: 'IH N',
+    blood: 'AH D',
+    bough: 'AW',
+    bow: 'AW',
+    bowl: 'OW L',
+    break: 'EY K',
+    bread: 'EH D',
+    breath: 'EH TH',
+    brow: 'AW',
+    build: 'IH L D',
+    built: 'IH L T',
+    buy: 'AY',
+    chow: 'AW',
+    come: 'AH M',
+    cough: 'AA F',
+    could: 'UH D',
+    country: 'AH N T R IY',
+    cow: 'AW',
+    dead: 'EH D',
+    deaf: 'EH F',
+    death: 'EH TH',
+    do: 'UW',
+    does: 'AH Z',
+    doll: 'AA L',
+    done: 'AH N',
+    double: 'AH B AH L',
+    dough: 'OW',
+    dove: 'AH V',
+    endow: 'AW',
+    enough: 'AH F',
+    eye: 'AY',
+    flood: 'AH D',
+    flown: 'OW N',
+    folk: 'OW K',
+    foot: 'UH T',
+    four: 'AO R',
+    friend: 'EH N D',
+    ghost: 'OW S T',
+    give: 'IH V',
+    glove: 'AH V',
+    gone: 'AA N',
+    good: 'UH D',
+    great: 'EY T',
+    grey: 'EY',
+    group: 'UW P',
+    grown: 'OW N',
+    guy: 'AY',
+    has: 'AE Z',
+    have: 'AE V',
+    head: 'EH D',
+    heart: 'AA R T',
+    height: 'AY T',
+    his: 'IH Z',
+    hood: 'UH D',
+    host: 'OW S T',
+    house: 'AW S',
+    how: 'AW',
+    improve: 'UW V',
+    instead: 'EH D',
+    is: 'IH Z',
+    key: 'IY',
+    known: 'OW N',
+    laugh: 'AE F',
+    live: 'IH V',
+    lose: 'UW Z',
+    love: 'AH V',
+    many: 'EH N IY',
+    meant: 'EH N T',
+    most: 'OW S T',
+    mouse: 'AW S',
+    move: 'UW V',
+    none: 'AH N',
+    now: 'AW',
+    obey: 'EY',
+    once: 'AH N S',
+    one: 'AH N',
+    own: 'OW N',
+    pear: 'EH R',
+    plough: 'AW',
+    plow: 'AW',
+    poor: 'UH R',
+    post: 'OW S T',
+    pour: 'AO R',
+    prove: 'UW V',
+    put: 'UH T',
+    remove: 'UW V',
+    rough: 'AH F',
+    said: 'EH D',
+    says: 'EH Z',
+    sew: 'OW',
+    shoe: 'UW',
+    should: 'UH D',
+    shove: 'AH V',
+    shown: 'OW N',
+    some: 'AH M',
+    spread: 'EH D',
+    steak: 'EY K',
+    stood: 'UH D',
+    swear: 'EH R',
+    sweat: 'EH T',
+    there: 'EH R',
+    they: 'EY',
+    thorough: 'ER OW',
+    thread: 'EH D',
+    threat: 'EH T',
+    through: 'UW',
+    thrown: 'OW N',
+    to: 'UW',
+    touch: 'AH CH',
+    tough: 'AH F',
+    trough: 'AA F',
+    trouble: 'AH B AH L',
+    two: 'UW',
+    vow: 'AW',
+    was: 'AH Z',
+    wear: 'EH R',
+    were: 'ER',
+    what: 'AH T',
+    where: 'EH R',
+    who: 'UW',
+    whose: 'UW Z',
+    wind: 'IH N D',
+    wolf: 'UH L F',
+    wood: 'UH D',
+    would: 'UH D',
+    wow: 'AW',
+    you: 'UW',
+    young: 'AH NG',
+    your: 'AO R'
+};
+
+// Suffixes that are never stressed, longest first; PRE_STRESS_SUFFIXES move the stress onto the syllable before them
+const UNSTRESSED_SUFFIXES = [
+    'tions', 'sions', 'ments', 'ness', 'less', 'ment', 'tion', 'sion', 'ture', 'ings', 'ical', 'ious',
+    'ity', 'ies', 'ied', 'ing', 'ful', 'ous', 'ers', 'est', 'ish', 'les', 'led', 'ian', 'ial', 'ic',
+    'ly', 'ed', 'es', 'er', 'le', 'y'
+];
+const PRE_STRESS_SUFFIXES = new Set(['tions', 'sions', 'tion', 'sion', 'ical', 'ious', 'ity', 'ian', 'ial', 'ic']);
+
+// Prefixes that are usually unstressed in two-syllable words ("about", "connect", "delay")
+const UNSTRESSED_PREFIX = /^(a|be|com|con|de|dis|ex|mis|ob|per|pre|re|sur|un)(?=[^aeiouy])/;
+
+const MAGIC_E = /^([^aeiouywx]|st)es?$/;
+const MAGIC_E_SUFFIX = /^[^aeiouywx](ed|ing)$/;
+const NO_VOWEL = /^[^aeiouy]*$/;
+const HAS_VOWEL = /[aeiouy]/;
+
+/**
+ * Builds a letter-to-sound rule.
+ *
+ * @param {string} letters - Letters the rule consumes.
+ * @param {string} phonemes - Space separated phonemes they stand for ("" when silent).
+ * @param {RegExp} [after] - (Optional) Must match the rest of the word after the letters.
+ * @param {RegExp} [before] - (Optional) Must match the part of the word before the letters.
+ * @returns {Object} - The rule.
+ */
+function rule(letters, phonemes, after, before) {
+    return { letters, phonemes, after, before };
+}
+
+/**
+ * Letter-to-sound rules, tried in order at each position. "S*" and "D*" stand for a plural
+ * "-s" and past tense "-ed", voiced or not depending on the sound before them.
+ */
+const RULES = [
+    // a
+    rule('augh', 'AA'),
+    rule('aigh', 'EY'),
+    rule('air', 'EH R'),
+    rule('are', 'EH R', /^[sd]?$/),
+    rule('ar', 'AA R', /^([^aeiouyr]|$)/),
+    rule('ai', 'EY'),
+    rule('ay', 'EY'),
+    rule('au', 'AA'),
+    rule('aw', 'AA'),
+    rule('all', 'AA L', /^(s|ed|ing|er|ers)?$/),
+    rule('alk', 'AA K'),
+    rule('alm', 'AA M'),
+    rule('ange', 'EY N JH', /^[sdr]?$/),
+    rule('a', 'EY', /^(tion|sion|cian)/),
+    rule('a', 'EY', MAGIC_E),
+    rule('a', 'EY', MAGIC_E_SUFFIX, NO_VOWEL),
+    rule('a', 'AA', /^$/, NO_VOWEL),
+    rule('a', 'AH', /^s?$/),
+    rule('a', 'AE'),
+    // e
+    rule('eigh', 'EY'),
+    rule('eir', 'EH R'),
+    rule('ear', 'ER', /^(n|l|th|ch|se|d)/),
+    rule('ear', 'IY R'),
+    rule('eer', 'IY R'),
+    rule('ere', 'IY R', /^[sd]?$/),
+    rule('er', 'ER', /^([^aeiouyr]|$)/),
+    rule('ee', 'IY'),
+    rule('eau', 'Y UW'),
+    rule('ea', 'EH', /^(sure|lth|ther|vy|dy)/),
+    rule('ea', 'IY'),
+    rule('ei', 'IY', null, /c$/),
+    rule('ei', 'EY'),
+    rule('ey', 'EY', /^s?$/, NO_VOWEL),
+    rule('ey', 'IY', /^s?$/),
+    rule('ew', 'UW'),
+    rule('eu', 'UW'),
+    rule('e', 'IY', /^$/, NO_VOWEL),
+    rule('e', '', /^$/),
+    rule('es', 'IH Z', /^$/, /[aeiouy].*([sxz]|ch|sh|c|g)$/),
+    rule('e', '', /^s$/, HAS_VOWEL),
+    rule('ed', 'IH D', /^$/, /[aeiouy].*[td]$/),
+    rule('ed', 'D*', /^$/, HAS_VOWEL),
+    rule('e', '', /^(ly|ment|ments|ful|less|ness)$/, /[aeiouy][^aeiouy]$/),
+    rule('e', 'IY', MAGIC_E),
+    rule('e', 'EH'),
+    // i
+    rule('igh', 'AY'),
+    rule('ign', 'AY N', /^(s|ed|ing|er)?$/),
+    rule('ind', 'AY N D', /^(s|er|ing|ness|ed)?$/),
+    rule('ild', 'AY L D', /^(s|ly)?$/),
+    rule('ire', 'AY ER', /^[sd]?$/),
+    rule('ir', 'ER', /^([^aeiouyr]|$)/),
+    rule('ie', 'AY', /^[ds]?$/, NO_VOWEL),
+    rule('ie', 'IY'),
+    rule('i', 'AY', MAGIC_E),
+    rule('i', 'AY', MAGIC_E_SUFFIX, NO_VOWEL),
+    rule('i', 'AY', /^$/, NO_VOWEL),
+    rule('i', 'IY', /^([aeiou]|$)/),
+    rule('i', 'IH'),
+    // o
+    rule('ough', 'AA', /^t/),
+    rule('ough', 'OW'),
+    rule('oar', 'AO R'),
+    rule('oor', 'AO R'),
+    rule('ore', 'AO R', /^[sd]?$/),
+    rule('our', 'ER', /^s?$/, HAS_VOWEL),
+    rule('our', 'AW ER', /^s?$/),
+    rule('our', 'AO R', /^[^aeiouy]/),
+    rule('or', 'ER', /^s?$/, HAS_VOWEL),
+    rule('or', 'AO R', /^([^aeiouyr]|$)/),
+    rule('oa', 'OW'),
+    rule('oe', 'OW', /^[sd]?$/),
+    rule('oi', 'OY'),
+    rule('oy', 'OY'),
+    rule('ook', 'UH K'),
+    rule('oo', 'UW'),
+    rule('oul', 'UH', /^d/),
+    rule('oul', 'OW L'),
+    rule('ou', 'AH', /^s$/, HAS_VOWEL),
+    rule('ou', 'AW'),
+    rule('ow', 'OW', /^(s|ed|ing)?$/),
+    rule('ow', 'AW'),
+    rule('o', 'OW', /^l(d|t|l)(s|ed|er|ing|en)?$/),
+    rule('o', 'OW', /^(tion|sion)/),
+    rule('o', 'OW', MAGIC_E),
+    rule('o', 'OW', MAGIC_E_SUFFIX, NO_VOWEL),
+    rule('o', 'OW', /^$/),
+    rule('o', 'AA'),
+    // u
+    rule('ure', 'UH R', /^[sd]?$/),
+    rule('ur', 'ER', /^([^aeiouyr]|$)/),
+    rule('ue', 'UW', /^[sd]?$/),
+    rule('ui', 'UW'),
+    rule('u', 'UW', /^(tion|sion)/),
+    rule('u', 'UW', MAGIC_E),
+    rule('u', 'UW', MAGIC_E_SUFFIX, NO_VOWEL),
+    rule('u', 'UH', /^(ll|sh)/, /[pbf]$/),
+    rule('u', 'UW', /^[^aeiouyrx][aeiouy]/, NO_VOWEL),
+    rule('u', 'UW', /^$/),
+    rule('u', 'AH'),
+    // y
+    rule('y', 'AY', /^(ing|er|ers|est)$/, /^[^aeiouy]+$/),
+    rule('y', 'IY', /^(ing|er|ers|est)$/, /[^aeiouy]$/),
+    rule('y', 'Y', /^[aeiou]/),
+    rule('y', 'AY', /^$/, NO_VOWEL),
+    rule('y', 'IY', /^$/),
+    rule('y', 'AY', MAGIC_E),
+    rule('y', 'IH'),
+    // consonants
+    rule('b', 'B'),
+    rule('ch', 'K', /^r/, /^$/),
+    rule('ch', 'CH'),
+    rule('ck', 'K'),
+    rule('ci', 'SH', /^[aeou]/),
+    rule('c', 'S', /^[eiy]/),
+    rule('c', 'K'),
+    rule('dg', 'JH'),
+    rule('d', 'D'),
+    rule('f', 'F'),
+    rule('gh', 'G', null, /^$/),
+    rule('gh', ''),
+    rule('gn', 'N', null, /^$/),
+    rule('gn', 'N', /^$/),
+    rule('gu', 'G', /^[aeiouy]/),
+    rule('gio', 'JH AH', /^n|^us/),
+    rule('g', 'JH', /^[eiy]/, /./),
+    rule('g', 'G'),
+    rule('h', 'HH', /^[aeiouy]/),
+    rule('h', ''),
+    rule('j', 'JH'),
+    rule('kn', 'N', null, /^$/),
+    rule('k', 'K'),
+    rule('le', 'AH L', /^[sd]?$/, /[aeiouy].*[^aeiouy]$/),
+    rule('l', 'L'),
+    rule('mb', 'M', /^(s|ed|ing|er)?$/),
+    rule('mn', 'M', /^s?$/),
+    rule('m', 'M'),
+    rule('nk', 'NG K'),
+    rule('ng', 'NG'),
+    rule('n', 'N'),
+    rule('ph', 'F'),
+    rule('ps', 'S', null, /^$/),
+    rule('p', 'P'),
+    rule('quar', 'K W AO R'),
+    rule('qua', 'K W AA', /^(l|n|sh|t|d)/),
+    rule('que', 'K', /^s?$/),
+    rule('qu', 'K W'),
+    rule('q', 'K'),
+    rule('rh', 'R'),
+    rule('r', 'R'),
+    rule('sch', 'S K'),
+    rule('sh', 'SH'),
+    rule('sion', 'ZH AH N', null, /[aeiouy]$/),
+    rule('sion', 'SH AH N'),
+    rule('sure', 'ZH ER', /^[sd]?$/, /[aeiouy]$/),
+    rule('sc', 'S', /^[eiy]/),
+    rule('s', 'S', /^e[sd]?$/, /([^aeiouy]|[^e]a|ou|oo)$/),
+    rule('s', 'Z', /^e[sd]?$/),
+    rule('s', 'S*', /^$/),
+    rule('s', 'S'),
+    rule('tch', 'CH'),
+    rule('th', 'DH', /^e[sd]?$/, /[aeiouy]$/),
+    rule('th', 'TH'),
+    rule('tion', 'SH AH N'),
+    rule('ti', 'SH', /^[aou]/, /[aeiouy]/),
+    rule('ture', 'CH ER', /^[sd]?$/, HAS_VOWEL),
+    rule('t', '', /^le[sd]?$/, /s$/),
+    rule('t', 'T'),
+    rule('v', 'V'),
+    rule('wh', 'W'),
+    rule('wr', 'R', null, /^$/),
+    rule('wor', 'W ER', /^[^aeiouye]/),
+    rule('war', 'W AO R'),
+    rule('wa', 'W AA', /^(sh|tch|sp|nd|nt|lk|ll|lt|tt|ter|sn|t$|d$|n$)/),
+    rule('w', 'W'),
+    rule('x', 'Z', null, /^$/),
+    rule('x', 'K S'),
+    rule('z', 'Z')
+];
+
+// Rules grouped by their first letter, keeping their order
+const RULES_BY_LETTER = RULES.reduce((acc, item) => {
+    const letter = item.letters[0];
+    (acc[letter] = acc[letter] || []).push(item);
+    return acc;
+}, {});
+
+/**
+ * Converts a word to phonemes, keeping track of where each vowel came from.
+ *
+ * @param {string} word - Lowercase letters only.
+ * @returns {Array<{phoneme: string, index: number, letters: string}>} - The phonemes in order,
+ *   with the index and letters of the spelling that produced them.
+ */
+function toPhonemes(word) {
+    const phonemes = [];
+    let index = 0;
+    while (index < word.length) {
+        const before = word.slice(0, index);
+        const candidates = RULES_BY_LETTER[word[index]] || [];
+        const match = candidates.find(candidate => word.startsWith(candidate.letters, index) &&
+            (!candidate.after || candidate.after.test(word.slice(index + candidate.letters.length))) &&
+            (!candidate.before || candidate.before.test(before)));
+        if (!match) {
+            index++;
+            continue;
+        }
+        match.phonemes.split(' ').filter(Boolean).forEach(phoneme => {
+            phonemes.push({ phoneme, index, letters: match.letters });
+        });
+        index += match.letters.length;
+    }
+
+    // Voice "-s" and "-ed" like the sound before them, and merge doubled consonants ("mm", "ck")
+    return phonemes.reduce((acc, item) => {
+        const previous = acc[acc.length - 1];
+        const previousPhoneme = previous ? previous.phoneme : '';
+        let phoneme = item.phoneme;
+        if (phoneme === 'S*') {
+            phoneme = VOICELESS_PHONEMES.has(previousPhoneme) || SHORT_PHONEMES.has(previousPhoneme) ? 'S' : 'Z';
+        } else if (phoneme === 'D*') {
+            phoneme = VOICELESS_PHONEMES.has(previousPhoneme) ? 'T' : 'D';
+        }
+        if (phoneme === previousPhoneme && !VOWEL_PHONEMES.has(phoneme)) return acc;
+        acc.push(Object.assign({}, item, { phoneme }));
+        return acc;
+    }, []);
+}
+
+/**
+ * Guesses which vowel of a word carries the main stress.
+ *
+ * Unstressed suffixes ("-ing", "-ly", "-tion") are skipped, suffixes like "-ic" and "-ity"
+ * stress the syllable before them, long final vowels ("complete", "balloon") and unstressed
+ * prefixes ("about") stress the last syllable, and otherwise a heavy second-to-last syllable
+ * is stressed, else the one before it.
+ *
+ * @param {string} word - Lowercase letters only.
+ * @param {Array<Object>} vowels - The vowel phonemes of the word, from toPhonemes.
+ * @returns {number} - Position of the stressed vowel in `vowels`.
+ */
+function findStressedVowel(word, vowels) {
+    if (vowels.length <= 1) return 0;
+
+    const suffix = UNSTRESSED_SUFFIXES.find(candidate => word.endsWith(candidate) &&
+        HAS_VOWEL.test(word.slice(0, -candidate.length)));
+    const stemLength = suffix ? word.length - suffix.length : word.length;
+    const stemVowels = vowels.filter(vowel => vowel.index < stemLength).length;
+    if (stemVowels <= 1) return 0;
+    if (PRE_STRESS_SUFFIXES.has(suffix)) return stemVowels - 1;
+
+    const last = vowels[stemVowels - 1];
+    const isHeavy = position => {
+        const vowel = vowels[position];
+        const next = vowels[position + 1];
+        const consonants = word.slice(vowel.index + vowel.letters.length, next ? next.index : word.length);
+        return LONG_PHONEMES.has(vowel.phoneme) || vowel.letters.length > 1 || consonants.length >= 2;
+    };
+    const longFinal = /^(ee|oo)/.test(last.letters) ||
+        (last.letters.length === 1 && MAGIC_E.test(word.slice(last.index + 1)));
+    if (longFinal || (stemVowels === 2 && UNSTRESSED_PREFIX.test(word) && isHeavy(stemVowels - 1))) {
+        return stemVowels - 1;
+    }
+
+    if (vowels.length === 2) return 0;
+    const penult = vowels.length - 2;
+    // Words ending in a spelled "-a" or "-o" ("banana", "potato") usually stress the vowel before it
+    const vowelEnding = /[^aeiouy][ao]$/.test(word);
+    const stressed = penult < stemVowels && (vowelEnding || isHeavy(penult)) ? penult : penult - 1;
+    return Math.max(0, Math.min(stressed, stemVowels - 1));
+}
+
+/**
+ * Reduces the vowels after the stressed one, which are usually pronounced as a schwa whatever their spelling.
+ *
+ * @param {Array<string>} rime - Phonemes from the stressed vowel on.
+ * @returns {Array<string>} - The normalized phonemes.
+ */
+function reduceUnstressed(rime) {
+    return rime.map((phoneme, position) => {
+        if (position === 0 || !VOWEL_PHONEMES.has(phoneme)) return phoneme;
+        if (phoneme === 'IH' && rime[position + 1] === 'NG') return phoneme;
+        return ['IY', 'OW', 'ER'].includes(phoneme) ? phoneme : 'AH';
+    });
+}
+
+/**
+ * Looks a word up in RHYME_EXCEPTIONS, also matching "-s", "-es", "-ed" and "-ing" forms.
+ *
+ * @param {string} word - Lowercase letters only.
+ * @returns {string|null} - The rime, or null if the word is not listed.
+ */
+function findException(word) {
+    const has = key => Object.prototype.hasOwnProperty.call(RHYME_EXCEPTIONS, key);
+    if (has(word)) return RHYME_EXCEPTIONS[word];
+    const forms = [['s', 'S*'], ['es', 'S*'], ['d', 'D*'], ['ed', 'D*'], ['ing', 'IH NG']];
+    for (const [ending, phonemes] of forms) {
+        const stem = word.slice(0, -ending.length);
+        if (word.endsWith(ending) && has(stem)) {
+            const rime = RHYME_EXCEPTIONS[stem];
+            const lastPhoneme = rime.split(' ').pop();
+            const voiceless = VOICELESS_PHONEMES.has(lastPhoneme);
+            return `${rime} ${phonemes.replace('S*', voiceless ? 'S' : 'Z').replace('D*', voiceless ? 'T' : 'D')}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the rime of a word: its sounds from the last stressed vowel to the end.
+ *
+ * @param {string} word - The word.
+ * @returns {string} - Space separated ARPAbet phonemes, e.g. "AW" for "bough" and "AA F" for
+ *   "cough"; empty if the word has no letters or is not a string.
+ */
+function getRime(word) {
+    const letters = typeof word === 'string' ? word.toLowerCase().replace(/[^a-z]/g, '') : '';
+    if (letters.length === 0) return '';
+    const exception = findException(letters);
+    if (exception !== null) return exception;
+
+    const phonemes = toPhonemes(letters);
+    const vowels = phonemes.filter(item => VOWEL_PHONEMES.has(item.phoneme));
+    if (vowels.length === 0) return phonemes.map(item => item.phoneme).join(' ');
+
+    const stressed = vowels[findStressedVowel(letters, vowels)];
+    const rime = phonemes.slice(phonemes.indexOf(stressed)).map(item => item.phoneme);
+    // Most American accents merge the vowels of "caught" and "cot"
+    if (rime[0] === 'AO' && rime[1] !== 'R') rime[0] = 'AA';
+    return reduceUnstressed(rime).join(' ');
+}
+
+/**
+ * Compares two rimes.
+ *
+ * @param {string} rime - Rime of the first word.
+ * @param {string} other - Rime of the second word.
+ * @param {string} level - "perfect" or "slant".
+ * @returns {boolean} - True if they rhyme at that level.
+ */
+function rimesMatch(rime, other, level) {
+    if (!rime || !other) return false;
+    if (rime === other) return true;
+    if (level !== 'slant') return false;
+
+    // Slant rhyme: the same stressed vowel (assonance) or the same sounds after it (consonance)
+    const [vowel, ...coda] = rime.split(' ');
+    const [otherVowel, ...otherCoda] = other.split(' ');
+    if (!VOWEL_PHONEMES.has(vowel) || !VOWEL_PHONEMES.has(otherVowel)) return false;
+    if (vowel === otherVowel) return true;
+    // "ER" is a vowel and an R in one, so "worm" ends in the "R M" of "swarm"
+    if (vowel === 'ER') coda.unshift('R');
+    if (otherVowel === 'ER') otherCoda.unshift('R');
+    return coda.length > 0 && coda.join(' ') === otherCoda.join(' ');
+}
+
+/**
+ * Creates a predicate matching the words that rhyme with a given word.
+ *
+ * @param {string} word - The word to rhyme with.
+ * @param {string} [level='perfect'] - (Optional) "perfect" for identical rimes ("blue"/"through"),
+ *   "slant" to also accept the same stressed vowel ("lake"/"fate") or ending ("worm"/"swarm").
+ * @returns {function(string): boolean} - Tests another word.
+ * @throws {InvalidOptionError} - If the level is unknown.
+ */
+function createRhymeMatcher(word, level = 'perfect') {
+    if (!RHYME_LEVELS.includes(level)) {
+        throw new InvalidOptionError(`Unknown rhyme level '${level}'. Use one of: ${RHYME_LEVELS.join(', ')}.`, { option: 'rhymeLevel' });
+    }
+    const rime = getRime(word);
+    return other => rimesMatch(rime, getRime(other), level);
+}
+
+/**
+ * Checks whether two words rhyme.
+ *
+ * @param {string} word - The first word.
+ * @param {string} other - The second word.
+ * @param {string} [level='perfect'] - (Optional) "perfect" or "slant".
+ * @returns {boolean} - True if they rhyme.
+ * @throws {InvalidOptionError} - If the level is unknown.
+ */
+function rhymes(word, other, level = 'perfect') {
+    return createRhymeMatcher(word, level)(other);
+}
+
+module.exports = {
+    RHYME_EXCEPTIONS,
+    createRhymeMatcher,
+    getRime,
+    rhymes,
+    rimesMatch
+};
@@ -0,0 +1,243 @@
+// /word-picker/lib/rpc.js
+
+const readline = require('readline');
+const { getWordPool, getWordsDetailed } = require('./core');
+const { InsufficientWordsError, InvalidOptionError, WordListLoadError, WordPickerError } = require('./errors');
+const { MAX_WEIGHT, getWordText, hasValidWeight, isWordEntry } = require('./entries');
+const { getWordListInfo, loadWordList, parseWordList } = require('./loader');
+const { reviveJsonOptions } = require('./options');
+
+// Error codes defined by JSON-RPC 2.0, then the ones used for library errors
+const RPC_ERRORS = {
+    parseError: -32700,
+    invalidRequest: -32600,
+    methodNotFound: -32601,
+    invalidParams: -32602,
+    internalError: -32603,
+    insufficientWords: -32001,
+    wordListLoad: -32002
+};
+
+// Words returned by getWords when neither `count` nor `targetEntropyBits` is given
+const DEFAULT_COUNT = 6;
+
+/**
+ * Error answered as a JSON-RPC error object.
+ */
+class RpcError extends Error {
+    constructor(code, message, data) {
+        super(message);
+        this.rpcCode = code;
+        this.data = data;
+    }
+}
+
+/**
+ * Converts an error to a JSON-RPC error object. Library errors keep their `code` and details
+ * (such as `option` or `issues`) in `data`.
+ *
+ * @param {Error} err - The error.
+ * @returns {{code: number, message: string, data: (Object|undefined)}} - The error object.
+ */
+function toRpcError(err) {
+    if (err instanceof RpcError) {
+        return { code: err.rpcCode, message: err.message, data: err.data };
+    }
+    if (err instanceof WordPickerError) {
+        let code = RPC_ERRORS.internalError;
+        if (err instanceof InvalidOptionError) code = RPC_ERRORS.invalidParams;
+        if (err instanceof InsufficientWordsError) code = RPC_ERRORS.insufficientWords;
+        if (err instanceof WordListLoadError) code = RPC_ERRORS.wordListLoad;
+        const data = {};
+        Object.keys(err).forEach(key => {
+            if (key !== 'name' && key !== 'cause' && typeof err[key] !== 'function') data[key] = err[key];
+        });
+        return { code, message: err.message, data };
+    }
+    return { code: RPC_ERRORS.internalError, message: err.message };
+}
+
+/**
+ * Checks that params is an object (or absent), as every method takes named parameters.
+ *
+ * @param {*} params - The request params.
+ * @returns {Object} - The params, or an empty object.
+ * @throws {RpcError} - If params is not an object.
+ */
+function namedParams(params) {
+    if (params === undefined) return {};
+    if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+        throw new RpcError(RPC_ERRORS.invalidParams, 'Params must be an object of named parameters.');
+    }
+    return params;
+}
+
+/**
+ * Checks the entries of a list sent to loadList, so a bad entry is reported with its index
+ * instead of failing every later call.
+ *
+ * @param {Array} entries - Words or word objects.
+ * @throws {RpcError} - invalidParams, with the `index` of the first bad entry.
+ */
+function checkEntries(entries) {
+    const index = entries.findIndex(entry => !isWordEntry(entry));
+    if (index !== -1) {
+        throw new RpcError(RPC_ERRORS.invalidParams,
+            `Word list entry ${index} must be a non-empty string or an object with a non-empty 'word' string.`, { index });
+    }
+    const weightIndex = entries.findIndex(entry => !hasValidWeight(entry));
+    if (weightIndex !== -1) {
+        throw new RpcError(RPC_ERRORS.invalidParams, `Word list entry ${weightIndex} must have a 'weight' from 0 to ${MAX_WEIGHT}.`,
+            { index: weightIndex });
+    }
+}
+
+/**
+ * Creates a JSON-RPC 2.0 handler for the word picker. The handler keeps one word list in
+ * memory (the bundled list until `loadList` is called), so it is parsed once and reused by
+ * every later call. Methods, all taking named parameters:
+ *
+ * - `getWords({ options, count })`: `{ words, entropy, crackTimes }`, as getWordsDetailed.
+ * - `count({ options })`: `{ count }`, the size of the pool the options leave.
+ * - `validatePhrase({ phrase, options })`: `{ valid, words: [{ word, inPool }] }`, whether every word of
+ *   the phrase (a string split on whitespace, or an array) is in the pool. Case is ignored.
+ * - `loadList({ source } | { text, name } | { words })`: loads a list file, list text in any supported
+ *   format, or an array; `{ source: null }` goes back to the bundled list. Returns the list info.
+ *
+ * Options are getWords options; RegExp options may be written as strings and `history` as an array.
+ * Functions cannot be sent, so options such as `customFilter` are not available.
+ *
+ * @param {Object} [config] - (Optional) Settings:
+ * @param {Array|string} [config.words] - (Optional) Initial word list array or file path. Defaults to the bundled list.
+ * @param {Object} [config.defaults={}] - (Optional) getWords options applied to every call; calls may override them.
+ * @returns {function(string): (string|null)} - Takes one JSON-RPC message (a request, notification or batch)
+ *   and returns the JSON response, or null when nothing is to be answered.
+ */
+function createRpcHandler(config = {}) {
+    const defaults = Object.assign({}, config.defaults);
+    let words = null;
+
+    // Lists are frozen copies, so the data derived from them is computed once (see getListData)
+    const setList = (source) => {
+        words = Array.isArray(source) ? Object.freeze(source.slice()) : loadWordList(source === null ? undefined : source);
+        return getWordListInfo(source);
+    };
+    setList(config.words);
+
+    const mergeOptions = (options) => {
+        if (options !== undefined && (options === null || typeof options !== 'object' || Array.isArray(options))) {
+            throw new RpcError(RPC_ERRORS.invalidParams, "'options' must be an object of getWords options.");
+        }
+        return Object.assign({}, defaults, reviveJsonOptions(options || {}));
+    };
+
+    const methods = {
+        getWords: (params) => {
+            const options = mergeOptions(params.options);
+            let count = params.count;
+            if (count === undefined && options.targetEntropyBits === undefined) {
+                count = DEFAULT_COUNT;
+            }
+            const result = getWordsDetailed(options, count, words);
+            return { words: result.words, entropy: result.metadata.entropy, crackTimes: result.metadata.crackTimes };
+        },
+
+        count: (params) => ({ count: getWordPool(mergeOptions(params.options), words).length }),
+
+        validatePhrase: (params) => {
+            let phrase = params.phrase;
+            if (typeof phrase === 'string') {
+                phrase = phrase.trim().length > 0 ? phrase.trim().split(/\s+/) : [];
+            }
+            if (!Array.isArray(phrase) || phrase.length === 0 || !phrase.every(word => typeof word === 'string')) {
+                throw new RpcError(RPC_ERRORS.invalidParams, "'phrase' must be a non-empty string or array of words.");
+            }
+            const pool = new Set(getWordPool(mergeOptions(params.options), words).map(entry => getWordText(entry).toLowerCase()));
+            const checked = phrase.map(word => ({ word, inPool: pool.has(word.toLowerCase()) }));
+            return { valid: checked.every(entry => entry.inPool), words: checked };
+        },
+
+        loadList: (params) => {
+            if (typeof params.text === 'string') {
+                const parsed = parseWordList(params.text, typeof params.name === 'string' ? params.name : 'text');
+                checkEntries(parsed.words);
+                words = Object.freeze(parsed.words);
+                return Object.assign({ source: null }, parsed.info, { count: words.length });
+            }
+            if (params.words !== undefined) {
+                if (!Array.isArray(params.words)) {
+                    throw new RpcError(RPC_ERRORS.invalidParams, "'words' must be an array.");
+                }
+                checkEntries(params.words);
+                return setList(params.words);
+            }
+            if (params.source !== null && params.source !== undefined && typeof params.source !== 'string') {
+                throw new RpcError(RPC_ERRORS.invalidParams, "'source' must be a file path or null.");
+            }
+            return setList(params.source);
+        }
+    };
+
+    const handleRequest = (request) => {
+        const isObject = request !== null && typeof request === 'object' && !Array.isArray(request);
+        const id = isObject && (typeof request.id === 'string' || typeof request.id === 'number') ? request.id : null;
+        const isNotification = isObject && !Object.prototype.hasOwnProperty.call(request, 'id');
+        try {
+            if (!isObject || request.jsonrpc !== '2.0' || typeof request.method !== 'string') {
+                throw new RpcError(RPC_ERRORS.invalidRequest, 'Invalid request: expected { "jsonrpc": "2.0", "method", "params", "id" }.');
+            }
+            if (!Object.prototype.hasOwnProperty.call(methods, request.method)) {
+                throw new RpcError(RPC_ERRORS.methodNotFound, `Unknown method '${request.method}'.`, { methods: Object.keys(methods) });
+            }
+            const result = methods[request.method](namedParams(request.params));
+            return isNotification ? null : { jsonrpc: '2.0', id, result };
+        } catch (err) {
+            if (isNotification && isObject && typeof request.method === 'string') return null;
+            return { jsonrpc: '2.0', id, error: toRpcError(err) };
+        }
+    };
+
+    return (message) => {
+        let request;
+        try {
+            request = JSON.parse(message);
+        } catch (err) {
+            return JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: RPC_ERRORS.parseError, message: `Parse error: ${err.message}` } });
+        }
+        if (!Array.isArray(request)) {
+            const response = handleRequest(request);
+            return response ? JSON.stringify(response) : null;
+        }
+        if (request.length === 0) {
+            return JSON.stringify(handleRequest(request));
+        }
+        const responses = request.map(handleRequest).filter(response => response !== null);
+        return responses.length > 0 ? JSON.stringify(responses) : null;
+    };
+}
+
+/**
+ * Serves JSON-RPC 2.0 over a pair of streams, one message per line (newline-delimited JSON),
+ * until the input ends. Responses are written one per line, in request order.
+ *
+ * @param {Object} [config] - (Optional) Settings for createRpcHandler, plus:
+ * @param {stream.Readable} [config.input=process.stdin] - (Optional) Stream to read requests from.
+ * @param {stream.Writable} [config.output=process.stdout] - (Optional) Stream to write responses to.
+ * @returns {readline.Interface} - The line reader; it emits 'close' when the input ends.
+ * @throws {WordPickerError} - If the initial word list cannot be loaded.
+ */
+function serveRpc(config = {}) {
+    const handle = createRpcHandler(config);
+    const output = config.output || process.stdout;
+    const lines = readline.createInterface({ input: config.input || process.stdin, crlfDelay: Infinity });
+    lines.on('line', line => {
+        if (line.trim().length === 0) return;
+        const response = handle(line);
+        if (response !== null) {
+            output.write(`${response}\n`);
+        }
+    });
+    return lines;
+}
+
+module.exports = { RPC_ERRORS, createRpcHandler, serveRpc };
@@ -0,0 +1,387 @@
+// /word-picker/lib/server.js
+
+const http = require('http');
+const { URL } = require('url');
+const { getWordsDetailed } = require('./core');
+const { InsufficientWordsError, InvalidOptionError, WordPickerError } = require('./errors');
+const { createLogger } = require('./logger');
+const { OPTION_SCHEMA, collectOptionIssues, createOptionsError, parseOptionValue, reviveJsonOptions } = require('./options');
+
+// Words returned when a request sets neither `count` nor `targetEntropyBits`
+const DEFAULT_COUNT = 6;
+
+// Options the server controls; clients cannot set them
+const SERVER_OPTIONS = ['history', 'logger', 'logLevel'];
+
+// Request parameters that are not getWords options
+const REQUEST_PARAMETERS = ['count', 'namespace'];
+
+// Options that let a request run up the server's CPU or memory: a pattern can backtrack
+// catastrophically, and maxAttempts and weightedSelection scale the work of one request
+const COSTLY_OPTIONS = ['pattern', 'maxAttempts', 'weightedSelection'];
+
+// Options requests may set unless `allowedOptions` says otherwise. Options that only take
+// functions or objects with methods cannot arrive in a request and are left out
+const DEFAULT_ALLOWED_OPTIONS = Object.keys(OPTION_SCHEMA).filter(name => {
+    const types = [].concat(OPTION_SCHEMA[name].type);
+    return !SERVER_OPTIONS.includes(name) && !COSTLY_OPTIONS.includes(name) && !types.every(type => type === 'function' || type === 'rng');
+});
+
+/**
+ * Default server settings. See createWordServer.
+ */
+const DEFAULT_SERVER_CONFIG = {
+    defaults: {},
+    allowedOptions: DEFAULT_ALLOWED_OPTIONS,
+    words: null,
+    maxCount: 100,
+    maxBodyBytes: 16 * 1024,
+    rateLimit: { windowMs: 60 * 1000, max: 60 },
+    history: 'namespace',
+    maxHistorySize: 10000,
+    maxHistoryKeys: 1000,
+    trustProxy: false,
+    logger: null,
+    logLevel: 'info'
+};
+
+/**
+ * Error answered with an HTTP status; `code` and `message` are sent to the client.
+ */
+class HttpError extends Error {
+    constructor(status, code, message, details = {}) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Creates a fixed-window rate limiter. Windows are kept in the order they started, so the
+ * expired ones are swept from the front on every check and clients that stop sending requests
+ * do not accumulate.
+ *
+ * @param {{windowMs: number, max: number}} rateLimit - Requests allowed per client and time window.
+ * @returns {{check: function(string, number=): void, size: function(): number}} - `check(client, now)` counts a request
+ *   and throws a 429 HttpError over the limit; `size()` is the number of clients with an open window.
+ */
+function createRateLimiter(rateLimit) {
+    const { windowMs, max } = rateLimit;
+    const windows = new Map();
+    return {
+        check: (client, now = Date.now()) => {
+            for (const [key, window] of windows) {
+                if (now - window.start < windowMs) break;
+                windows.delete(key);
+            }
+            let window = windows.get(client);
+            if (!window) {
+                window = { start: now, count: 0 };
+                windows.set(client, window);
+            }
+            window.count++;
+            if (window.count > max) {
+                const retryAfter = Math.ceil((window.start + windowMs - now) / 1000);
+                throw new HttpError(429, 'ERR_RATE_LIMITED', `Rate limit of ${max} requests per ${windowMs} ms exceeded.`, { retryAfter });
+            }
+        },
+        size: () => windows.size
+    };
+}
+
+/**
+ * Checks the server settings, throwing InvalidOptionError for the first bad one.
+ *
+ * @param {Object} config - Settings merged with DEFAULT_SERVER_CONFIG.
+ */
+function checkConfig(config) {
+    const positiveInteger = value => Number.isInteger(value) && value > 0;
+    ['maxCount', 'maxBodyBytes', 'maxHistorySize', 'maxHistoryKeys'].forEach(name => {
+        if (!positiveInteger(config[name])) {
+            throw new InvalidOptionError(`'${name}' must be a positive integer.`, { option: name });
+        }
+    });
+    if (config.rateLimit !== false && !(config.rateLimit && positiveInteger(config.rateLimit.windowMs) && positiveInteger(config.rateLimit.max))) {
+        throw new InvalidOptionError("'rateLimit' must be false or { windowMs, max } with positive integers.", { option: 'rateLimit' });
+    }
+    if (![false, 'client', 'namespace'].includes(config.history)) {
+        throw new InvalidOptionError("'history' must be false, \"client\" or \"namespace\".", { option: 'history' });
+    }
+    const allowed = config.allowedOptions;
+    if (!Array.isArray(allowed) || !allowed.every(name => Object.prototype.hasOwnProperty.call(OPTION_SCHEMA, name) && !SERVER_OPTIONS.includes(name))) {
+        throw new InvalidOptionError(
+            `'allowedOptions' must be an array of getWords option names other than ${SERVER_OPTIONS.map(name => `'${name}'`).join(', ')}.`,
+            { option: 'allowedOptions' }
+        );
+    }
+    const defaults = config.defaults;
+    if (defaults === null || typeof defaults !== 'object') {
+        throw new InvalidOptionError("'defaults' must be an object of getWords options.", { option: 'defaults' });
+    }
+    const issues = collectOptionIssues(defaults);
+    if (issues.length > 0) {
+        throw createOptionsError(issues);
+    }
+}
+
+/**
+ * Reads getWords options and request parameters from a query string. Values are converted
+ * like command-line flags ("a,b" lists, "/^a/i" patterns); nested options use dots, e.g.
+ * `strict.minPoolSize=5`. Unknown names are passed through so validation can report them.
+ *
+ * @param {URLSearchParams} query - The query.
+ * @returns {Object} - Options plus `count` and `namespace` when given.
+ * @throws {HttpError} - For values that fit none of the option's types.
+ */
+function readQuery(query) {
+    const params = {};
+    Array.from(new Set(query.keys())).forEach(key => {
+        const raw = query.getAll(key).join(',');
+        const [name, property] = key.split('.');
+        if (name === 'count' || name === 'namespace') {
+            params[name] = raw;
+            return;
+        }
+        const entry = Object.prototype.hasOwnProperty.call(OPTION_SCHEMA, name) ? OPTION_SCHEMA[name] : null;
+        const propertyEntry = entry && property && entry.properties && Object.prototype.hasOwnProperty.call(entry.properties, property)
+            ? entry.properties[property]
+            : null;
+        const target = propertyEntry || (property ? null : entry);
+        if (!target) {
+            params[key] = raw;
+            return;
+        }
+        const value = parseOptionValue(target, raw);
+        if (value === undefined) {
+            throw new HttpError(400, 'ERR_INVALID_OPTION', `Invalid value '${raw}' for '${key}'.`);
+        }
+        if (propertyEntry) {
+            params[name] = Object.assign(params[name] && typeof params[name] === 'object' ? params[name] : {}, { [property]: value });
+        } else {
+            params[name] = value;
+        }
+    });
+    return params;
+}
+
+/**
+ * Reads getWords options and request parameters from a JSON body. RegExp options may be
+ * given as strings, since JSON has no regular expressions.
+ *
+ * @param {string} body - The request body.
+ * @returns {Object} - Options plus `count` and `namespace` when given.
+ * @throws {HttpError} - If the body is not a JSON object.
+ */
+function readJsonBody(body) {
+    let params;
+    try {
+        params = JSON.parse(body || '{}');
+    } catch (err) {
+        throw new HttpError(400, 'ERR_INVALID_JSON', `The request body is not valid JSON: ${err.message}`);
+    }
+    if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+        throw new HttpError(400, 'ERR_INVALID_JSON', 'The request body must be a JSON object of options.');
+    }
+    return reviveJsonOptions(params);
+}
+
+/**
+ * Creates an HTTP server (Node's `http` module only) that serves getWords as JSON:
+ *
+ * - `GET /words?count=6&lengthMin=4&filterStartsWith=a,b` takes options from the query string.
+ * - `POST /words` takes a JSON object of options, plus `count`.
+ *
+ * Both answer `{ words, entropy, crackTimes }`. Words issued to a history key (the `namespace`
+ * parameter, or the client address) are not issued to it again. Strict mode is on unless a
+ * request or the defaults turn it off, so a short result is an error.
+ *
+ * @param {Object} [config] - (Optional) Server settings:
+ * @param {Object} [config.defaults={}] - (Optional) getWords options applied to every request; requests may override them.
+ * @param {Array<string>} [config.allowedOptions] - (Optional) getWords options requests may set; others get 400. Defaults to
+ *   every option except `pattern`, `maxAttempts`, `weightedSelection`, the function options and those the server manages.
+ * @param {Array|string} [config.words] - (Optional) Word list array or file path. Defaults to the bundled list.
+ * @param {number} [config.maxCount=100] - (Optional) Largest `count` a request may ask for, and most words
+ *   `targetEntropyBits` may derive.
+ * @param {number} [config.maxBodyBytes=16384] - (Optional) Largest POST body; larger requests get 413.
+ * @param {Object|false} [config.rateLimit={ windowMs: 60000, max: 60 }] - (Optional) Requests allowed per client
+ *   and time window; more get 429. False disables the limit.
+ * @param {string|false} [config.history='namespace'] - (Optional) "namespace" keys history by the `namespace` parameter
+ *   (falling back to the client), "client" by client address only, false keeps no history.
+ * @param {number} [config.maxHistorySize=10000] - (Optional) Words remembered per history key; the oldest are forgotten first.
+ * @param {number} [config.maxHistoryKeys=1000] - (Optional) History keys kept; the least recently used are dropped first.
+ * @param {boolean} [config.trustProxy=false] - (Optional) Identify clients by the first X-Forwarded-For address.
+ * @param {Object} [config.logger] - (Optional) Logger for request errors, as for the `logger` option.
+ * @param {string} [config.logLevel='info'] - (Optional) Lowest level passed to the logger.
+ * @returns {http.Server} - The server; call `listen(port, host)` to start it.
+ * @throws {InvalidOptionError} - If a setting or a default option is invalid.
+ */
+function createWordServer(config = {}) {
+    const settings = Object.assign({}, DEFAULT_SERVER_CONFIG, config);
+    checkConfig(settings);
+    const logger = createLogger(settings.logger, settings.logLevel);
+
+    // Request counters keyed by client, and word histories keyed by client or namespace
+    const rateLimiter = settings.rateLimit === false ? null : createRateLimiter(settings.rateLimit);
+    const histories = new Map();
+
+    const clientId = (req) => {
+        const forwarded = settings.trustProxy ? req.headers['x-forwarded-for'] : undefined;
+        return forwarded ? forwarded.split(',')[0].trim() : (req.socket.remoteAddress || 'unknown');
+    };
+
+    // Returns the history Set of a key, most recently used last
+    const getHistory = (key) => {
+        let history = histories.get(key);
+        if (history) {
+            histories.delete(key);
+        } else {
+            history = new Set();
+            if (histories.size >= settings.maxHistoryKeys) {
+                histories.delete(histories.keys().next().value);
+            }
+        }
+        histories.set(key, history);
+        return history;
+    };
+
+    const trimHistory = (history) => {
+        const iterator = history.values();
+        while (history.size > settings.maxHistorySize) {
+            history.delete(iterator.next().value);
+        }
+    };
+
+    const pickWords = (params, client) => {
+        const options = Object.assign({ strict: true }, settings.defaults);
+        const blocked = Object.keys(params).filter(key => SERVER_OPTIONS.includes(key));
+        if (blocked.length > 0) {
+            throw new HttpError(400, 'ERR_INVALID_OPTION', `'${blocked[0]}' is managed by the server and cannot be set by requests.`);
+        }
+        // Unknown names are left to validation, which suggests the intended option
+        const notAllowed = Object.keys(params).filter(key => Object.prototype.hasOwnProperty.call(OPTION_SCHEMA, key)
+            && !settings.allowedOptions.includes(key));
+        if (notAllowed.length > 0) {
+            throw new HttpError(400, 'ERR_INVALID_OPTION', `'${notAllowed[0]}' cannot be set by requests to this server.`);
+        }
+        Object.keys(params).forEach(key => {
+            if (!REQUEST_PARAMETERS.includes(key)) options[key] = params[key];
+        });
+
+        let count;
+        if (params.count !== undefined) {
+            count = Number(params.count);
+            if (!Number.isInteger(count) || count < 1 || count > settings.maxCount) {
+                throw new HttpError(400, 'ERR_INVALID_OPTION', `'count' must be an integer from 1 to ${settings.maxCount}.`);
+            }
+        } else if (options.targetEntropyBits === undefined) {
+            count = Math.min(DEFAULT_COUNT, settings.maxCount);
+        }
+
+        let history;
+        if (settings.history !== false) {
+            const namespace = settings.history === 'namespace' && typeof params.namespace === 'string' && params.namespace.length > 0
+                ? params.namespace
+                : null;
+            history = getHistory(namespace !== null ? `namespace:${namespace}` : `client:${client}`);
+        }
+
+        // Words are recorded in a copy of the history first: targetEntropyBits derives the count,
+        // so maxCount can only be checked on the result, and a refused request must not use up words
+        const staged = new Set(history);
+        options.history = staged;
+        const result = getWordsDetailed(options, count, settings.words);
+        const issued = staged.size - (history ? history.size : 0);
+        if (issued > settings.maxCount) {
+            throw new HttpError(400, 'ERR_INVALID_OPTION',
+                `'targetEntropyBits' needs ${issued} words from this pool, more than the limit of ${settings.maxCount}.`);
+        }
+        if (history) {
+            staged.forEach(word => history.add(word));
+            trimHistory(history);
+        }
+        return { words: result.words, entropy: result.metadata.entropy, crackTimes: result.metadata.crackTimes };
+    };
+
+    const send = (res, status, body, headers = {}) => {
+        res.writeHead(status, Object.assign({ 'Content-Type': 'application/json; charset=utf-8' }, headers));
+        res.end(JSON.stringify(body));
+    };
+
+    const sendError = (res, err) => {
+        if (err instanceof HttpError) {
+            const headers = err.retryAfter !== undefined ? { 'Retry-After': String(err.retryAfter) } : {};
+            send(res, err.status, { error: { code: err.code, message: err.message } }, Object.assign(headers, err.headers || {}));
+        } else if (err instanceof InsufficientWordsError) {
+            send(res, 422, { error: { code: err.code, message: err.message } });
+        } else if (err instanceof InvalidOptionError) {
+            send(res, 400, { error: { code: err.code, message: err.message, issues: err.issues } });
+        } else {
+            logger.error(`Request failed: ${err.message}`);
+            const code = err instanceof WordPickerError ? err.code : 'ERR_INTERNAL';
+            send(res, 500, { error: { code, message: 'The server could not generate words.' } });
+        }
+    };
+
+    const respond = (res, run) => {
+        try {
+            send(res, 200, run());
+        } catch (err) {
+            sendError(res, err);
+        }
+    };
+
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== '/words') {
+            sendError(res, new HttpError(404, 'ERR_NOT_FOUND', `No route for ${url.pathname}.`));
+            return;
+        }
+        if (req.method !== 'GET' && req.method !== 'POST') {
+            sendError(res, new HttpError(405, 'ERR_METHOD_NOT_ALLOWED', `Method ${req.method} is not allowed.`, { headers: { Allow: 'GET, POST' } }));
+            return;
+        }
+
+        const client = clientId(req);
+        try {
+            if (rateLimiter) rateLimiter.check(client);
+        } catch (err) {
+            sendError(res, err);
+            return;
+        }
+
+        if (req.method === 'GET') {
+            respond(res, () => pickWords(readQuery(url.searchParams), client));
+            return;
+        }
+
+        // POST: collect the body, refusing anything over maxBodyBytes
+        const tooLarge = new HttpError(413, 'ERR_BODY_TOO_LARGE', `The request body exceeds ${settings.maxBodyBytes} bytes.`, {
+            headers: { Connection: 'close' }
+        });
+        if (Number(req.headers['content-length']) > settings.maxBodyBytes) {
+            sendError(res, tooLarge);
+            req.resume();
+            return;
+        }
+        const chunks = [];
+        let size = 0;
+        let rejected = false;
+        req.on('data', chunk => {
+            if (rejected) return;
+            size += chunk.length;
+            if (size > settings.maxBodyBytes) {
+                rejected = true;
+                sendError(res, tooLarge);
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (rejected) return;
+            respond(res, () => pickWords(readJsonBody(Buffer.concat(chunks).toString('utf8')), client));
+        });
+    });
+}
+
+module.exports = { DEFAULT_SERVER_CONFIG, createRateLimiter, createWordServer };
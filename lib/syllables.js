@@ -0,0 +1,122 @@
+// /word-picker/lib/syllables.js
+
+/**
+ * Words the rules below get wrong, with their dictionary syllable counts.
+ */
+const SYLLABLE_OVERRIDES = {
+    abalone: 4,
+    acne: 2,
+    anemone: 4,
+    apostrophe: 4,
+    area: 3,
+    being: 2,
+    business: 2,
+    cafe: 2,
+    catastrophe: 4,
+    chaos: 2,
+    coyote: 3,
+    create: 2,
+    cruel: 2,
+    element: 3,
+    epitome: 4,
+    fluid: 2,
+    fuel: 2,
+    giant: 2,
+    hyperbole: 4,
+    idea: 3,
+    karate: 3,
+    museum: 3,
+    naive: 2,
+    naked: 2,
+    ocean: 2,
+    people: 2,
+    poem: 2,
+    poet: 2,
+    poetry: 3,
+    quiet: 2,
+    react: 2,
+    real: 2,
+    reality: 4,
+    recipe: 3,
+    rhythm: 2,
+    rhythms: 2,
+    ruin: 2,
+    sacred: 2,
+    science: 2,
+    sesame: 3,
+    simile: 3,
+    theater: 3,
+    theory: 3,
+    wicked: 2
+};
+
+// Vowel pairs that are usually pronounced as two syllables (hiatus), but form one vowel group.
+// Glides after c/s/t/g/x ("-tion", "-cial", "-gious") and the "u" of "qu"/"gu" are excluded.
+const HIATUS_PATTERNS = [
+    /(?<![cstgx])i[ao]/g,
+    /eo/g,
+    /(?<![qg])u[ao]/g,
+    /iu/g
+];
+
+/**
+ * Estimates the number of syllables of a single word (no spaces or hyphens) from its spelling.
+ *
+ * Counts groups of vowels, then corrects for the common exceptions: silent final "e"
+ * (but not consonant + "le"), silent "-ed" (except after t/d) and "-es" (except after
+ * sibilants), silent "e" before suffixes like "-ly", "-ment" and "-thing", vowel pairs pronounced
+ * separately ("lion", "video", "dual"), and "-ing" after a vowel ("going"). Words listed
+ * in SYLLABLE_OVERRIDES use their dictionary count.
+ *
+ * @param {string} word - The word to estimate.
+ * @returns {number} - Estimated syllable count; at least 1 for any word with letters.
+ */
+function countWordSyllables(word) {
+    let letters = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (letters.length === 0) return 0;
+    if (Object.prototype.hasOwnProperty.call(SYLLABLE_OVERRIDES, letters)) {
+        return SYLLABLE_OVERRIDES[letters];
+    }
+    if (letters.length <= 3) return 1;
+
+    // "y" before a vowel is a consonant ("player", "beyond")
+    letters = letters.replace(/y(?=[aeiou])/g, 'j');
+
+    let count = (letters.match(/[aeiouy]+/g) || []).length;
+
+    // Silent endings
+    if (/[^aeiouy]e$/.test(letters) && !/[^aeiouy]le$/.test(letters)) {
+        count--;
+    } else if (/[^aeiouy]ed$/.test(letters) && !/[td]ed$/.test(letters) && !/[^aeiouy]led$/.test(letters)) {
+        count--;
+    } else if (/[^aeiouy]es$/.test(letters) && !/([sxz]|ch|sh|[cg])es$/.test(letters) && !/[^aeiouy]les$/.test(letters)) {
+        count--;
+    } else if (/[aeiouy][^aeiouy]e(ly|ment|ful|less|ness|thing)$/.test(letters)) {
+        count--;
+    }
+
+    // Vowel groups that hold two syllables
+    HIATUS_PATTERNS.forEach(pattern => {
+        count += (letters.match(pattern) || []).length;
+    });
+    if (/[aeiou]ings?$/.test(letters)) {
+        count++;
+    }
+
+    return Math.max(1, count);
+}
+
+/**
+ * Estimates the number of syllables of an English word from its spelling. The parts of
+ * compounds written with spaces or hyphens ("ice cream", "mother-in-law") are counted separately.
+ *
+ * @param {string} word - The word to estimate.
+ * @returns {number} - Estimated syllable count; at least 1 for any word with letters, 0 for
+ *   words without letters and values that are not strings.
+ */
+function countSyllables(word) {
+    if (typeof word !== 'string') return 0;
+    return word.split(/[\s-]+/).reduce((count, part) => count + countWordSyllables(part), 0);
+}
+
+module.exports = { SYLLABLE_OVERRIDES, countSyllables };
@@ -0,0 +1,59 @@
+// /word-picker/test/capabilities.test.js
+
+const assert = require('assert');
+const test = require('node:test');
+const { InvalidOptionError, UnsupportedOptionError, getWordSourceCapabilities, getWords } = require('..');
+
+const entries = [
+    'plain',
+    { word: 'alpha', partOfSpeech: ['noun'], tags: ['slang'] },
+    { word: 'bravo', language: 'it', definition: 'well done' }
+];
+
+test('plain strings only provide the estimated syllables', () => {
+    const { capabilities, supportedOptions, unsupportedOptions } = getWordSourceCapabilities(['alpha', 'bravo']);
+    assert.deepStrictEqual(capabilities, ['syllables']);
+    assert.deepStrictEqual(supportedOptions, ['syllableCount', 'limitSyllables', 'onlyMonosyllabic', 'onlyPolysyllabic']);
+    assert.ok(unsupportedOptions.includes('languages'));
+    // The bundled list is a list of plain strings
+    assert.deepStrictEqual(getWordSourceCapabilities().capabilities, ['syllables']);
+});
+
+test('word objects provide the capabilities of their fields', () => {
+    const { capabilities, supportedOptions } = getWordSourceCapabilities(entries);
+    assert.deepStrictEqual(capabilities.sort(), [
+        'abbreviation', 'compound', 'definitions', 'homonyms', 'language', 'partOfSpeech', 'properNoun', 'slang', 'syllables'
+    ]);
+    assert.ok(supportedOptions.includes('excludeSlang'));
+    assert.ok(!supportedOptions.includes('synonyms'));
+});
+
+test('options the source cannot evaluate throw UnsupportedOptionError', () => {
+    assert.throws(() => getWords({ includePartsOfSpeech: ['noun'], excludeSlang: true }, 1, ['alpha', 'bravo']), err => {
+        assert.ok(err instanceof UnsupportedOptionError);
+        assert.ok(err instanceof InvalidOptionError);
+        assert.strictEqual(err.code, 'ERR_UNSUPPORTED_OPTION');
+        assert.strictEqual(err.option, 'includePartsOfSpeech');
+        assert.deepStrictEqual(err.options, ['includePartsOfSpeech', 'excludeSlang']);
+        assert.deepStrictEqual(err.capabilities, ['partOfSpeech', 'slang']);
+        return true;
+    });
+    // Inactive options need nothing
+    assert.strictEqual(getWords({ excludeSlang: false, languages: [], phoneticDistinct: false }, 2, ['alpha', 'bravo']).length, 2);
+});
+
+test('supported options filter the words that carry the data', () => {
+    const options = { phoneticDistinct: false, sort: 'asc' };
+    assert.deepStrictEqual(getWords(Object.assign({ excludeSlang: true }, options), 3, entries), ['bravo', 'plain']);
+    assert.deepStrictEqual(getWords(Object.assign({ includePartsOfSpeech: ['NOUN'] }, options), 3, entries), ['alpha']);
+    assert.deepStrictEqual(getWords(Object.assign({ languages: ['it'] }, options), 3, entries), ['bravo']);
+});
+
+test('unsupportedOptions "warn" logs and ignores the options', () => {
+    const messages = [];
+    const logger = { debug() {}, info() {}, warn: message => messages.push(message), error() {} };
+    const picked = getWords({ excludeSlang: true, unsupportedOptions: 'warn', phoneticDistinct: false, logger }, 2, ['alpha', 'bravo']);
+    assert.strictEqual(picked.length, 2);
+    assert.strictEqual(messages.length, 1);
+    assert.ok(messages[0].includes("'excludeSlang'"));
+});
@@ -0,0 +1,98 @@
+// /word-picker/test/cli.test.js
+
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const path = require('path');
+const test = require('node:test');
+const { main, parseArgs } = require('../bin/security-words-picker');
+
+const script = path.join(__dirname, '..', 'bin', 'security-words-picker.js');
+const list = 'alpha\nbravo\ncharlie\ndelta\necho\nfoxtrot\n';
+
+// Runs the tool with the list on stdin and returns its exit code and output
+const run = (...argv) => {
+    let stdout = '';
+    let stderr = '';
+    const code = main(argv, {
+        stdin: () => list,
+        stdout: { write: text => { stdout += text; } },
+        stderr: { write: text => { stderr += text; } }
+    });
+    return { code, stdout, stderr };
+};
+
+test('flags become getWords options and tool settings', () => {
+    const { options, cli } = parseArgs([
+        '-n', '3', '--length-min=4', '--starts-with', 'a,b', '--starts-with', 'c', '--no-phonetic-distinct',
+        '--strict-min-pool-size', '10', '--weighted-selection', 'alpha=2', '--output', 'json', '--details'
+    ]);
+    assert.deepStrictEqual(cli, { count: '3', output: 'json', details: true });
+    assert.strictEqual(options.lengthMin, 4);
+    assert.deepStrictEqual(options.filterStartsWith, ['a', 'b', 'c']);
+    assert.strictEqual(options.phoneticDistinct, false);
+    assert.deepStrictEqual(options.strict, { minPoolSize: 10 });
+    assert.deepStrictEqual(options.weightedSelection, { alpha: 2 });
+    assert.strictEqual(parseArgs(['--phonetic-distinct', 'selection']).options.phoneticDistinct, 'selection');
+});
+
+test('--help lists the flags and exits with 0', () => {
+    const { code, stdout } = run('--help');
+    assert.strictEqual(code, 0);
+    assert.ok(stdout.startsWith('Usage: security-words-picker'));
+    assert.ok(stdout.includes('--length-min <integer>'));
+    assert.ok(stdout.includes('Exit codes:'));
+});
+
+test('unknown flags exit with 2 and suggest the closest flag', () => {
+    assert.deepStrictEqual(run('--lenght-min', '4'), {
+        code: 2,
+        stdout: '',
+        stderr: 'security-words-picker: Unknown flag --lenght-min. Did you mean --length-min?\n'
+    });
+    assert.ok(run('--no-stritc').stderr.includes('Did you mean --no-strict?'));
+    assert.ok(run('--zzzzzzzzzz').stderr.includes('Run with --help to list the flags.'));
+    assert.strictEqual(run('stray').code, 2);
+});
+
+test('invalid values and options exit with 2', () => {
+    assert.strictEqual(run('--count', 'many').code, 2);
+    assert.strictEqual(run('--length-min').code, 2);
+    assert.strictEqual(run('--output', 'xml').code, 2);
+    assert.strictEqual(run('--words', '-', '--case', 'shouting').code, 2);
+});
+
+test('printing words exits with 0', () => {
+    const { code, stdout, stderr } = run('--words', '-', '-n', '3', '--no-phonetic-distinct', '--seed', '1');
+    assert.strictEqual(code, 0);
+    assert.strictEqual(stderr, '');
+    const words = stdout.trim().split('\n');
+    assert.strictEqual(words.length, 3);
+    assert.ok(words.every(word => list.includes(word)));
+
+    const joined = run('--words', '-', '-n', '3', '--no-phonetic-distinct', '--seed', '1', '-o', 'string', '--separator', '-');
+    assert.strictEqual(joined.stdout, `${words.join('-')}\n`);
+});
+
+test('too few words for the filters exit with 3 unless --no-strict is given', () => {
+    const short = run('--words', '-', '-n', '7', '--no-phonetic-distinct');
+    assert.strictEqual(short.code, 3);
+    assert.strictEqual(short.stdout, '');
+    const relaxed = run('--words', '-', '-n', '7', '--no-phonetic-distinct', '--no-strict');
+    assert.strictEqual(relaxed.code, 0);
+    assert.strictEqual(relaxed.stdout.trim().split('\n').length, 6);
+});
+
+test('--output json and --details print JSON', () => {
+    const json = run('--words', '-', '-n', '2', '--no-phonetic-distinct', '-o', 'json');
+    assert.strictEqual(json.code, 0);
+    assert.strictEqual(JSON.parse(json.stdout).length, 2);
+
+    const details = JSON.parse(run('--words', '-', '-n', '2', '--no-phonetic-distinct', '--details').stdout);
+    assert.strictEqual(details.words.length, 2);
+    assert.strictEqual(details.metadata.entropy.poolSize, 6);
+});
+
+test('the script sets the exit code of the process', () => {
+    assert.ok(/^\d+\.\d+\.\d+/.test(execFileSync(process.execPath, [script, '--version'], { encoding: 'utf8' })));
+    assert.throws(() => execFileSync(process.execPath, [script, '--count', '0'], { stdio: 'pipe' }), err => err.status === 2);
+});
@@ -0,0 +1,18 @@
+// /word-picker/test/diceware.test.js
+
+const assert = require('assert');
+const test = require('node:test');
+const { InvalidOptionError, exportDicewareList } = require('..');
+
+const pool = Array.from({ length: 40 }, (_, index) => `word${index}`);
+
+test('rollsPerWord is bounded by the rolls the pool needs', () => {
+    // 40 words fill the 36 slots of 2 rolls without padding, and every word gets a slot with 3 rolls
+    assert.strictEqual(exportDicewareList(pool).rollsPerWord, 2);
+    assert.strictEqual(exportDicewareList(pool, 3).words.length, 216);
+    for (const rollsPerWord of [0, 4, 15, 1.5]) {
+        assert.throws(() => exportDicewareList(pool, rollsPerWord), err => err instanceof InvalidOptionError && err.option === 'rollsPerWord');
+    }
+    assert.throws(() => exportDicewareList(['one'], 2), InvalidOptionError);
+    assert.strictEqual(exportDicewareList(['one'], 1).words.length, 6);
+});
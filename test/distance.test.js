@@ -0,0 +1,49 @@
+// /word-picker/test/distance.test.js
+
+const assert = require('assert');
+const test = require('node:test');
+const { InsufficientWordsError, getWords, getWordsDetailed } = require('..');
+const { damerauLevenshtein, minPairwiseDistance } = require('../lib/distance');
+
+const words = ['cat', 'bat', 'hat', 'cast', 'coat', 'dog', 'fish', 'house', 'garden', 'window'];
+
+test('damerauLevenshtein counts insertions, deletions, substitutions and swaps', () => {
+    const expected = [
+        ['', '', 0], ['abc', '', 3], ['', 'abc', 3], ['same', 'same', 0],
+        ['form', 'from', 1], ['kitten', 'sitting', 3], ['cat', 'cast', 1], ['cat', 'bat', 1],
+        // The unrestricted distance may edit a swapped pair again; optimal string alignment would give 3
+        ['ca', 'abc', 2]
+    ];
+    expected.forEach(([a, b, distance]) => {
+        assert.strictEqual(damerauLevenshtein(a, b), distance, `${a}/${b}`);
+        assert.strictEqual(damerauLevenshtein(b, a), distance, `${b}/${a}`);
+    });
+});
+
+test('minPairwiseDistance ignores case', () => {
+    assert.strictEqual(minPairwiseDistance(['Cat', 'cat', 'dog']), 0);
+    assert.strictEqual(minPairwiseDistance(['cat', 'Coat', 'dog']), 1);
+    assert.strictEqual(minPairwiseDistance(['cat']), null);
+});
+
+test('minEditDistance keeps the words of a result that many edits apart', () => {
+    for (let seed = 0; seed < 30; seed++) {
+        const picked = getWords({ minEditDistance: 3, phoneticDistinct: false, seed }, 4, words);
+        assert.strictEqual(picked.length, 4);
+        assert.ok(minPairwiseDistance(picked) >= 3, picked.join(' '));
+    }
+});
+
+test('minEditDistance is reported in the metadata', () => {
+    const { metadata } = getWordsDetailed({ minEditDistance: 3, phoneticDistinct: false, seed: 2 }, 4, words);
+    assert.strictEqual(metadata.distance.minEditDistance, 3);
+    assert.ok(metadata.distance.minPairwiseDistance >= 3);
+    assert.strictEqual(getWordsDetailed({ phoneticDistinct: false }, 2, words).metadata.distance, undefined);
+});
+
+test('strict fails when the pool has too few distant words', () => {
+    // All of these are one edit apart
+    assert.throws(() => getWords({ minEditDistance: 2, strict: true, phoneticDistinct: false }, 2, ['cat', 'bat', 'hat']),
+        err => err instanceof InsufficientWordsError && err.reason === 'count');
+    assert.strictEqual(getWords({ minEditDistance: 2, phoneticDistinct: false }, 2, ['cat', 'bat', 'hat']).length, 1);
+});
@@ -0,0 +1,48 @@
+// /word-picker/test/entries.test.js
+
+const assert = require('assert');
+const test = require('node:test');
+const { InvalidOptionError, getWords } = require('..');
+
+const words = [
+    { word: 'apple', language: 'en', partOfSpeech: 'noun', syllables: 2, tags: [], frequency: 5, origin: 'Old English' },
+    { word: 'gonna', language: 'en', partOfSpeech: 'verb', syllables: 2, tags: ['slang'] },
+    { word: 'haus', language: 'de', partOfSpeech: 'noun', syllables: 1, tags: [] },
+    { word: 'Paris', language: 'EN', partOfSpeech: 'proper noun', definition: 'a city', examples: 'Paris in spring', synonyms: ['capital'] },
+    'plain'
+];
+const pick = options => getWords(Object.assign({ phoneticDistinct: false, sort: 'asc' }, options), words.length, words);
+
+test('word objects are returned as their word', () => {
+    assert.deepStrictEqual(pick({}), ['apple', 'gonna', 'haus', 'Paris', 'plain']);
+    assert.deepStrictEqual(pick({ caseOption: 'upper', lengthMax: 4 }), ['HAUS']);
+    assert.strictEqual(getWords({ asString: true, whitelist: ['apple', 'haus'], sort: 'asc' }, 2, words), 'apple, haus');
+});
+
+test('word data options match the fields ignoring case', () => {
+    assert.deepStrictEqual(pick({ languages: ['en'], excludeSlang: true }), ['apple', 'Paris']);
+    assert.deepStrictEqual(pick({ includePartsOfSpeech: ['Noun'] }), ['apple', 'haus']);
+    assert.deepStrictEqual(pick({ excludeProperNouns: true }), ['apple', 'gonna', 'haus', 'plain']);
+    assert.deepStrictEqual(pick({ includeWordOrigins: ['old english'] }), ['apple']);
+    assert.deepStrictEqual(pick({ synonyms: ['Capital'] }), ['Paris']);
+    // Paris has no syllables field, so its count is estimated, as for plain strings
+    assert.deepStrictEqual(pick({ syllableCount: 1 }), ['haus', 'plain']);
+    assert.deepStrictEqual(pick({ syllableCount: 2 }), ['apple', 'gonna', 'Paris']);
+});
+
+test('metadata keeps every field of the original object', () => {
+    const [apple] = getWords({ includeMetadata: true, whitelist: ['apple'] }, 1, words);
+    assert.deepStrictEqual(Object.assign({}, apple, { entropy: undefined }), Object.assign({}, words[0], {
+        length: 5, phoneticCode: 'A140', entropy: undefined
+    }));
+    assert.deepStrictEqual(getWords({ includeDefinitions: true, includeExamples: true, whitelist: ['paris'] }, 1, words), [
+        { word: 'Paris', definition: 'a city', examples: ['Paris in spring'] }
+    ]);
+});
+
+test('entries that are not words are rejected with their index', () => {
+    for (const [entry, message] of [[42, 'entry 1 '], [{ word: '' }, 'entry 1 '], [{ text: 'apple' }, 'entry 1 '], [{ word: 'apple', weight: -2 }, "entry 1 must have a 'weight'"]]) {
+        assert.throws(() => getWords({}, 1, ['plain', entry]), err => err instanceof InvalidOptionError
+            && err.option === 'customWordsArray' && err.message.includes(message));
+    }
+});
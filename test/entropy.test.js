@@ -0,0 +1,31 @@
+// /word-picker/test/entropy.test.js
+
+const assert = require('assert');
+const test = require('node:test');
+const { calculatePoolEntropy, wordsForTargetEntropy } = require('../lib/entropy');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 0.01, `${actual} is not close to ${expected}`);
+
+test('uniform pools are scored exactly for drawing without replacement', () => {
+    const entropy = calculatePoolEntropy({ weights: [1, 1, 1, 1], count: 3 });
+    close(entropy.perWordBits, 2);
+    close(entropy.phraseBits, Math.log2(4 * 3 * 2));
+    assert.strictEqual(entropy.weighted, false);
+    close(calculatePoolEntropy({ weights: [1, 1, 1, 1], count: 3, ordered: false }).phraseBits, Math.log2(4));
+});
+
+test('weighted pools are scored with the most likely phrase, removing drawn words', () => {
+    // alpha, bravo, then one of two light words: probability 1/2 * 1000/1002 * 1/2
+    const heavyPair = calculatePoolEntropy({ weights: [1000, 1000, 1, 1], count: 3 });
+    close(heavyPair.phraseBits, -Math.log2(0.5 * (1000 / 1002) * 0.5));
+    assert.strictEqual(heavyPair.weighted, true);
+
+    // The heavy word, then either light word, then the last one
+    close(calculatePoolEntropy({ weights: [1000, 1, 1], count: 3 }).phraseBits, -Math.log2((1000 / 1002) * 0.5));
+});
+
+test('wordsForTargetEntropy uses the same scoring', () => {
+    assert.strictEqual(wordsForTargetEntropy({ weights: [1000, 1000, 1, 1], targetBits: 2 }), 3);
+    assert.strictEqual(wordsForTargetEntropy({ weights: [1000, 1000, 1, 1], targetBits: 3 }), null);
+    assert.strictEqual(wordsForTargetEntropy({ weights: new Array(1024).fill(1), targetBits: 19.99 }), 2);
+});
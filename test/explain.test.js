@@ -0,0 +1,48 @@
+// /word-picker/test/explain.test.js
+
+const assert = require('assert');
+const test = require('node:test');
+const { getWords, getWordsDetailed } = require('..');
+
+const words = ['alpha', 'bravo', 'bravado', 'charlie', 'delta', 'echo', 'robert', 'rupert'];
+const options = { lengthMin: 5, blacklist: ['delta'], uniquePrefixLength: 4 };
+
+test('explain counts the words every filter removes', () => {
+    const result = getWords(Object.assign({ explain: true }, options), 2, words);
+    assert.deepStrictEqual(Object.keys(result), ['words', 'explain']);
+    const { initial, stages, final } = result.explain;
+    assert.strictEqual(initial, 8);
+    const removed = {};
+    stages.forEach(stage => {
+        removed[stage.name] = stage.removed;
+    });
+    assert.deepStrictEqual(removed, {
+        blacklist: 1, lengthMin: 1, history: 0, allowNumbers: 0, allowSpecialChars: 0, phoneticDistinct: 1, uniquePrefixLength: 1
+    });
+    // Every stage starts from what the previous one left
+    stages.reduce((remaining, stage) => {
+        assert.strictEqual(stage.remaining, remaining - stage.removed);
+        return stage.remaining;
+    }, initial);
+    assert.strictEqual(final, stages[stages.length - 1].remaining);
+    assert.strictEqual(final, 4);
+});
+
+test('explain names the filter that rejected a word', () => {
+    const explainWord = word => getWords(Object.assign({ explain: { word } }, options), 1, words).explain.word;
+    assert.deepStrictEqual(explainWord('alpha'), { word: 'alpha', inList: true, rejectedBy: null });
+    // Words are looked up ignoring case and reported as the list spells them
+    assert.deepStrictEqual(explainWord('Delta'), { word: 'delta', inList: true, rejectedBy: 'blacklist' });
+    assert.deepStrictEqual(explainWord('echo'), { word: 'echo', inList: true, rejectedBy: 'lengthMin' });
+    assert.deepStrictEqual(explainWord('rupert'), { word: 'rupert', inList: true, rejectedBy: 'phoneticDistinct', conflictsWith: 'robert' });
+    assert.deepStrictEqual(explainWord('bravado'), { word: 'bravado', inList: true, rejectedBy: 'uniquePrefixLength', conflictsWith: 'bravo' });
+    assert.deepStrictEqual(explainWord('zulu'), { word: 'zulu', inList: false, rejectedBy: null });
+});
+
+test('explain is combined with returnEntropy and reported by getWordsDetailed', () => {
+    const result = getWords({ explain: true, returnEntropy: true, phoneticDistinct: false }, 1, words);
+    assert.deepStrictEqual(Object.keys(result), ['words', 'entropy', 'explain']);
+    const { metadata } = getWordsDetailed({ explain: true, phoneticDistinct: false }, 1, words);
+    assert.strictEqual(metadata.explain.final, 8);
+    assert.strictEqual(getWordsDetailed({ phoneticDistinct: false }, 1, words).metadata.explain, undefined);
+});
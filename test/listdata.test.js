@@ -0,0 +1,41 @@
+// /word-picker/test/listdata.test.js
+
+const assert = require('assert');
+const test = require('node:test');
+const { getWords } = require('..');
+const { PHONETIC_ALGORITHMS } = require('../lib/phonetics');
+
+// Counts the calls of a built-in phonetic algorithm while fn runs
+function countEncodes(algorithm, fn) {
+    const original = PHONETIC_ALGORITHMS[algorithm];
+    let calls = 0;
+    PHONETIC_ALGORITHMS[algorithm] = (word) => {
+        calls++;
+        return original(word);
+    };
+    try {
+        fn();
+    } finally {
+        PHONETIC_ALGORITHMS[algorithm] = original;
+    }
+    return calls;
+}
+
+test('the phonetic codes of a frozen list are computed once', () => {
+    for (const phoneticDistinct of ['pool', 'selection']) {
+        const words = Object.freeze(['alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot']);
+        const options = { phoneticAlgorithm: 'soundex', phoneticDistinct, seed: 1 };
+        const first = countEncodes('soundex', () => getWords(options, 3, words));
+        assert.ok(first > 0);
+        assert.strictEqual(countEncodes('soundex', () => getWords(options, 3, words)), 0);
+    }
+});
+
+test('lists that are not frozen are read again on every call', () => {
+    const words = ['alpha', 'bravo'];
+    assert.deepStrictEqual(getWords({ phoneticDistinct: false, sort: 'asc' }, 2, words), ['alpha', 'bravo']);
+    words[1] = 'charlie';
+    assert.deepStrictEqual(getWords({ phoneticDistinct: false, sort: 'asc' }, 2, words), ['alpha', 'charlie']);
+    assert.ok(countEncodes('soundex', () => getWords({ phoneticDistinct: 'pool' }, 1, words)) > 0);
+    assert.ok(countEncodes('soundex', () => getWords({ phoneticDistinct: 'pool' }, 1, words)) > 0);
+});
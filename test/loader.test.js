@@ -0,0 +1,117 @@
+// /word-picker/test/loader.test.js
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const { WordListLoadError, clearWordListCache, getWordListInfo, loadWordList } = require('..');
+const { parseWordList } = require('../lib/loader');
+
+const eff = ['11\tace', '12\tbat', '13\tcat', '14\tdog', '15\telk', '16\tfig',
+    '21\tgem', '22\that', '23\tink', '24\tjam', '25\tkit', '26\tlog',
+    '31\tmap', '32\tnet', '33\toak', '34\tpen', '35\tquo', '36\trug',
+    '41\tsun', '42\ttoe', '43\turn', '44\tvan', '45\twax', '46\tyak',
+    '51\tzip', '52\tarc', '53\tbud', '54\tcod', '55\tdew', '56\tear',
+    '61\tfan', '62\tgum', '63\them', '64\tice', '65\tjar', '66\tkey'];
+
+// Asserts that parsing throws a WordListLoadError whose message names the line
+const assertLoadError = (text, name, line) => {
+    assert.throws(() => parseWordList(text, name), err => err instanceof WordListLoadError
+        && err.message.includes(`Line ${line} of ${path.basename(name)}`));
+};
+
+test('plain text lists drop quotes, commas, blank lines and comments', () => {
+    const { words, info } = parseWordList('# name: Fruit\n# version: 2\n"apple",\n\n# a comment\npear\n', 'fruit.txt');
+    assert.deepStrictEqual(words, ['apple', 'pear']);
+    assert.strictEqual(info.format, 'text');
+    assert.strictEqual(info.name, 'Fruit');
+    assert.strictEqual(info.version, '2');
+});
+
+test('annotated lists convert their columns', () => {
+    const { words, info } = parseWordList('word\tweight\ttags\napple\t2\tfruit, food\npear\n', 'fruit.tsv');
+    assert.deepStrictEqual(words, [{ word: 'apple', weight: 2, tags: ['fruit', 'food'] }, 'pear']);
+    assert.strictEqual(info.format, 'annotated');
+    assert.deepStrictEqual(info.columns, ['word', 'weight', 'tags']);
+
+    const aliased = parseWordList('# columns: word, pos\nrun\tverb\n', 'list.txt').words;
+    assert.deepStrictEqual(aliased, [{ word: 'run', partOfSpeech: ['verb'] }]);
+});
+
+test('a header language applies to every word without one', () => {
+    const { words, info } = parseWordList('# language: de\napfel\n', 'list.txt');
+    assert.deepStrictEqual(words, [{ word: 'apfel', language: 'de' }]);
+    assert.strictEqual(info.language, 'de');
+});
+
+test('EFF lists drop the dice rolls', () => {
+    const { words, info } = parseWordList(eff.join('\n'), 'eff.txt');
+    assert.strictEqual(info.format, 'eff');
+    assert.strictEqual(words.length, 36);
+    assert.deepStrictEqual(words.slice(0, 3), ['ace', 'bat', 'cat']);
+});
+
+test('JSON lists are arrays or objects with a words array', () => {
+    assert.deepStrictEqual(parseWordList('["apple", {"word": "pear", "weight": 3}]', 'list.json').words,
+        ['apple', { word: 'pear', weight: 3 }]);
+    const { words, info } = parseWordList('{"name": "Fruit", "version": 1, "words": ["apple"]}', 'list.json');
+    assert.deepStrictEqual(words, ['apple']);
+    assert.strictEqual(info.name, 'Fruit');
+    assert.strictEqual(info.version, '1');
+});
+
+test('NDJSON lists read one entry per line after an optional header', () => {
+    const { words, info } = parseWordList('{"name": "Fruit"}\n"apple"\n\n{"word": "pear"}\n', 'list.ndjson');
+    assert.deepStrictEqual(words, ['apple', { word: 'pear' }]);
+    assert.strictEqual(info.format, 'ndjson');
+    assert.strictEqual(info.name, 'Fruit');
+});
+
+test('malformed EFF lines are reported with their line number', () => {
+    const header = '# format: eff\n';
+    // The header is line 1, so the third entry is line 4
+    assertLoadError(header + ['11\tace', '12\tbat', '13 '].concat(eff.slice(3)).join('\n'), 'eff.txt', 4);
+    assertLoadError(header + ['11\tace', '12\tbat', 'word'].concat(eff.slice(3)).join('\n'), 'eff.txt', 4);
+    assertLoadError(eff.slice(0, 5).concat(['123\tfig']).join('\n'), 'eff.txt', 6);
+    assertLoadError(eff.slice(0, 5).concat(['11\tfig']).join('\n'), 'eff.txt', 6);
+    // Missing roll combinations
+    assert.throws(() => parseWordList(eff.slice(0, 35).join('\n'), 'eff.txt'), WordListLoadError);
+});
+
+test('malformed TSV cells are reported with their line number', () => {
+    assertLoadError('word\tweight\napple\t2\n\npear\tmany\n', 'list.tsv', 4);
+    assertLoadError('apple\t-1\n', 'list.tsv', 1);
+    assert.throws(() => parseWordList('# columns: weight, word\n1\tapple\n', 'list.tsv'), WordListLoadError);
+});
+
+test('malformed NDJSON lines are reported with their line number', () => {
+    assertLoadError('"apple"\n\n"pear\n', 'list.ndjson', 3);
+    assert.throws(() => parseWordList('["apple"', 'list.json'), WordListLoadError);
+    assert.throws(() => parseWordList('{"name": "Fruit"}', 'list.json'), WordListLoadError);
+});
+
+test('unknown formats are rejected', () => {
+    assert.throws(() => parseWordList('# format: xml\napple\n', 'list.txt'), WordListLoadError);
+});
+
+test('loaded files are cached frozen until they change', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'word-picker-'));
+    const file = path.join(dir, 'list.txt');
+    try {
+        fs.writeFileSync(file, 'apple\npear\n');
+        const words = loadWordList(file);
+        assert.deepStrictEqual(words, ['apple', 'pear']);
+        assert.ok(Object.isFrozen(words));
+        assert.strictEqual(loadWordList(file), words);
+        assert.strictEqual(getWordListInfo(file).count, 2);
+
+        fs.writeFileSync(file, 'apple\npear\nplum\n');
+        assert.deepStrictEqual(loadWordList(file), ['apple', 'pear', 'plum']);
+
+        assert.throws(() => loadWordList(path.join(dir, 'missing.txt')), WordListLoadError);
+    } finally {
+        clearWordListCache(file);
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,71 @@
+// /word-picker/test/options.test.js
+
+const assert = require('assert');
+const test = require('node:test');
+const { InvalidOptionError, getWords, validateOptions } = require('..');
+
+const issueCodes = (fn) => {
+    try {
+        fn();
+    } catch (err) {
+        assert.ok(err instanceof InvalidOptionError);
+        return err.issues.map(issue => `${issue.code}:${issue.option}`);
+    }
+    assert.fail('expected an InvalidOptionError');
+};
+
+test('every type problem is reported at once, with a suggestion for typos', () => {
+    const codes = issueCodes(() => getWords({ lenghtMin: 3, sort: 'up', lengthMax: -1 }, 0));
+    assert.deepStrictEqual(codes.sort(), [
+        'invalidType:amountOfWords',
+        'invalidValue:sort',
+        'outOfRange:lengthMax',
+        'unknownOption:lenghtMin'
+    ].sort());
+    assert.throws(() => validateOptions({ lenghtMin: 3 }), err => err.issues[0].suggestion === 'lengthMin');
+});
+
+test('every conflict is reported at once', () => {
+    const codes = issueCodes(() => validateOptions({
+        fixLength: 4,
+        lengthMin: 6,
+        onlyMonosyllabic: true,
+        onlyPolysyllabic: true,
+        whitelist: ['apple'],
+        blacklist: ['Apple']
+    }));
+    assert.deepStrictEqual(codes, [
+        'conflict:fixLength, lengthMin',
+        'conflict:onlyMonosyllabic, onlyPolysyllabic',
+        'conflict:whitelist, blacklist'
+    ]);
+});
+
+test('prototype-polluted options are rejected or ignored', () => {
+    assert.deepStrictEqual(issueCodes(() => validateOptions(JSON.parse('{"__proto__": {"lengthMin": 3}}'))), ['forbiddenKey:__proto__']);
+    assert.deepStrictEqual(issueCodes(() => validateOptions([])), ['invalidType:options']);
+
+    Object.prototype.lengthMin = 50;
+    try {
+        assert.ok(getWords({ seed: 1 }, 1)[0].length < 50);
+    } finally {
+        delete Object.prototype.lengthMin;
+    }
+});
+
+test('an inherited targetEntropyBits does not stand in for amountOfWords', () => {
+    Object.prototype.targetEntropyBits = 40;
+    try {
+        assert.deepStrictEqual(issueCodes(() => getWords({})), ['invalidType:amountOfWords']);
+        assert.strictEqual(getWords({}, 2).length, 2);
+    } finally {
+        delete Object.prototype.targetEntropyBits;
+    }
+    assert.strictEqual(getWords({ targetEntropyBits: 2, phoneticDistinct: false }, undefined, ['alpha', 'bravo', 'charlie']).length, 2);
+});
+
+test('validateWords removes the words it rejects', () => {
+    const words = ['alpha', 'bravo', 'charlie'];
+    const picked = getWords({ validateWords: word => word !== 'bravo', phoneticDistinct: false, sort: 'asc' }, 3, words);
+    assert.deepStrictEqual(picked, ['alpha', 'charlie']);
+});
@@ -0,0 +1,50 @@
+// /word-picker/test/phonetics.test.js
+
+const assert = require('assert');
+const test = require('node:test');
+const { getPhoneticCode, getWordPool, getWords } = require('..');
+const { doubleMetaphone } = require('../lib/phonetics');
+
+test('a custom encoder returning null or undefined gives words no code', () => {
+    assert.strictEqual(getPhoneticCode('alpha', () => null), '');
+    assert.strictEqual(getPhoneticCode('alpha', () => undefined), '');
+    assert.strictEqual(getPhoneticCode('alpha', () => 42), '42');
+
+    // Without the mapping every word would share the code "null" and only one could be picked
+    const words = ['alpha', 'bravo', 'charlie', 'delta'];
+    for (const phoneticDistinct of ['pool', 'selection']) {
+        assert.strictEqual(getWords({ phoneticAlgorithm: () => null, phoneticDistinct }, 4, words).length, 4);
+    }
+});
+
+test('the algorithms give the published codes', () => {
+    const expected = {
+        soundex: { Robert: 'R163', Rupert: 'R163', Tymczak: 'T522', Ashcraft: 'A261', Pfister: 'P236', Honeyman: 'H555' },
+        metaphone: { Knight: 'NT' },
+        nysiis: { Macintosh: 'MCANT' },
+        cologne: { 'Müller-Lüdenscheidt': '65752682', Wikipedia: '3412' }
+    };
+    Object.keys(expected).forEach(algorithm => {
+        Object.keys(expected[algorithm]).forEach(word => {
+            assert.strictEqual(getPhoneticCode(word, algorithm), expected[algorithm][word], `${algorithm}(${word})`);
+        });
+    });
+    // Double Metaphone gives a primary and an alternate code; getPhoneticCode uses the primary
+    assert.deepStrictEqual(doubleMetaphone('Smith'), ['SM0', 'XMT']);
+    assert.deepStrictEqual(doubleMetaphone('Schmidt'), ['XMT', 'SMT']);
+    assert.strictEqual(getPhoneticCode('Smith', 'doubleMetaphone'), 'SM0');
+});
+
+test('phoneticDistinct never picks two words with the same code', () => {
+    // Robert/Rupert and Smith/Smyth share their Soundex codes
+    const words = ['robert', 'rupert', 'smith', 'smyth', 'lee'];
+    const pool = getWordPool({ phoneticDistinct: 'pool' }, words);
+    assert.deepStrictEqual(pool, ['robert', 'smith', 'lee']);
+    for (let seed = 0; seed < 20; seed++) {
+        const picked = getWords({ phoneticDistinct: 'selection', seed }, 3, words);
+        const codes = picked.map(word => getPhoneticCode(word, 'soundex'));
+        assert.strictEqual(new Set(codes).size, 3, picked.join(' '));
+    }
+    assert.strictEqual(getWords({ phoneticDistinct: 'selection' }, 5, words).length, 3);
+    assert.strictEqual(getWordPool({ phoneticDistinct: false }, words).length, 5);
+});
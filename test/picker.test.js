@@ -0,0 +1,15 @@
+// /word-picker/test/picker.test.js
+
+const assert = require('assert');
+const test = require('node:test');
+const { InvalidOptionError, WordPicker } = require('..');
+
+const words = ['alpha', 'bravo', 'charlie', 'delta'];
+
+test('a seed belongs in config.rng, not in defaults or overrides', () => {
+    assert.throws(() => new WordPicker({ words, defaults: { seed: 1 } }), err => err instanceof InvalidOptionError
+        && err.option === 'seed' && /config\.rng/.test(err.message));
+    const picker = new WordPicker({ words, rng: 1, defaults: { phoneticDistinct: false } });
+    assert.throws(() => picker.pick(1, { seed: 2 }), err => err instanceof InvalidOptionError && err.option === 'seed');
+    assert.strictEqual(picker.pick(2).length, 2);
+});
@@ -0,0 +1,58 @@
+// /word-picker/test/prefix.test.js
+
+const assert = require('assert');
+const test = require('node:test');
+const { InvalidOptionError, deriveUniquePrefixSet, getWords, loadBip39WordList, resolvePrefix } = require('..');
+
+test('deriveUniquePrefixSet keeps the first word for every prefix', () => {
+    assert.deepStrictEqual(deriveUniquePrefixSet(['absent', 'absorb', 'abstract', 'abstain'], 4), ['absent', 'absorb', 'abstract']);
+    assert.deepStrictEqual(deriveUniquePrefixSet(['Apple', 'apply', 'banana'], 3), ['Apple', 'banana']);
+    // Words shorter than the prefix are entered in full
+    assert.deepStrictEqual(deriveUniquePrefixSet(['act', 'action', 'active'], 4), ['act', 'action']);
+    const entries = [{ word: 'absent', weight: 2 }, 'absently'];
+    assert.deepStrictEqual(deriveUniquePrefixSet(entries, 4), [entries[0]]);
+});
+
+test('deriveUniquePrefixSet checks its arguments', () => {
+    for (const prefixLength of [0, -1, 2.5, '4']) {
+        assert.throws(() => deriveUniquePrefixSet(['alpha'], prefixLength), err => err instanceof InvalidOptionError && err.option === 'prefixLength');
+    }
+    assert.throws(() => deriveUniquePrefixSet(['alpha', 42], 4), err => err instanceof InvalidOptionError && err.option === 'words');
+});
+
+test('resolvePrefix expands anything from the prefix to the whole word', () => {
+    const wordSet = deriveUniquePrefixSet(['absent', 'absorb', 'abstract', 'act', 'action'], 4);
+    assert.strictEqual(resolvePrefix('ABSO', wordSet), 'absorb');
+    assert.strictEqual(resolvePrefix('absor', wordSet), 'absorb');
+    assert.strictEqual(resolvePrefix(' absorb ', wordSet), 'absorb');
+    assert.strictEqual(resolvePrefix('act', wordSet), 'act');
+    assert.strictEqual(resolvePrefix('acti', wordSet), 'action');
+    for (const typed of ['zzzz', 'abz', 'absorbs', '', '  ']) {
+        assert.strictEqual(resolvePrefix(typed, wordSet), null, typed);
+    }
+});
+
+test('resolvePrefix refuses prefixes that match several words', () => {
+    assert.strictEqual(resolvePrefix('abso', ['absorb', 'absolute']), null);
+    assert.strictEqual(resolvePrefix('absol', ['absorb', 'absolute']), 'absolute');
+    // The same word listed twice is still one match
+    assert.strictEqual(resolvePrefix('abso', ['absorb', 'Absorb']), 'absorb');
+});
+
+test('every BIP39 word resolves from its first four letters', () => {
+    const { words } = loadBip39WordList();
+    assert.strictEqual(deriveUniquePrefixSet(words, 4).length, 2048);
+    words.forEach(word => {
+        assert.strictEqual(resolvePrefix(word.slice(0, 4), words), word);
+    });
+});
+
+test('uniquePrefixLength draws words that resolve from their prefixes', () => {
+    const words = ['absent', 'absorb', 'abstract', 'abstain', 'absently', 'zebra', 'zero', 'zeroes'];
+    const wordSet = deriveUniquePrefixSet(words, 4);
+    for (let seed = 0; seed < 10; seed++) {
+        const picked = getWords({ uniquePrefixLength: 4, phoneticDistinct: false, seed }, 5, words);
+        assert.deepStrictEqual(picked.slice().sort(), wordSet.slice().sort());
+        picked.forEach(word => assert.strictEqual(resolvePrefix(word.slice(0, 4), wordSet), word));
+    }
+});
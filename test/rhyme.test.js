@@ -0,0 +1,54 @@
+// /word-picker/test/rhyme.test.js
+
+const assert = require('assert');
+const test = require('node:test');
+const { InvalidOptionError, getRime, getWords, rhymes } = require('..');
+
+test('words with the same rime rhyme', () => {
+    for (const [word, other] of [['cat', 'flat'], ['blue', 'through'], ['night', 'kite'], ['nation', 'station'], ['cough', 'off']]) {
+        assert.ok(rhymes(word, other), `${word}/${other}`);
+        assert.ok(rhymes(other, word), `${other}/${word}`);
+    }
+    assert.strictEqual(getRime('cat'), 'AE T');
+    assert.strictEqual(getRime('station'), 'EY SH AH N');
+});
+
+test('words with different rimes do not rhyme', () => {
+    for (const [word, other] of [['cat', 'format'], ['cough', 'bough'], ['lake', 'fate'], ['blue', 'bloat']]) {
+        assert.ok(!rhymes(word, other), `${word}/${other}`);
+    }
+});
+
+test('slant rhymes share the stressed vowel or the sounds after it', () => {
+    assert.ok(rhymes('lake', 'fate', 'slant'));
+    assert.ok(rhymes('worm', 'swarm', 'slant'));
+    assert.ok(!rhymes('worm', 'swarm'));
+    assert.ok(!rhymes('cat', 'dog', 'slant'));
+});
+
+test('invalid input rhymes with nothing', () => {
+    for (const value of ['', '123', null, undefined, 42, {}]) {
+        assert.strictEqual(getRime(value), '');
+        assert.strictEqual(rhymes(value, 'cat'), false);
+        assert.strictEqual(rhymes('cat', value), false);
+    }
+    assert.throws(() => rhymes('cat', 'hat', 'loose'), err => err instanceof InvalidOptionError && err.option === 'rhymeLevel');
+    assert.throws(() => getWords({ includeRhymeWith: 'cat', rhymeLevel: 'loose' }, 1), InvalidOptionError);
+    assert.throws(() => getWords({ includeRhymeWith: 42 }, 1), InvalidOptionError);
+});
+
+test('includeRhymeWith only returns words that rhyme', () => {
+    for (const [target, rhymeLevel] of [['cat', 'perfect'], ['night', 'perfect'], ['lake', 'slant']]) {
+        for (let seed = 0; seed < 5; seed++) {
+            const words = getWords({ includeRhymeWith: target, rhymeLevel, seed }, 5);
+            assert.strictEqual(words.length, 5);
+            assert.ok(words.every(word => word !== target && rhymes(target, word, rhymeLevel)), `${target}: ${words}`);
+        }
+    }
+});
+
+test('excludeRhymeWith removes the words that rhyme', () => {
+    const words = ['cat', 'flat', 'hat', 'dog', 'fish'];
+    const picked = getWords({ excludeRhymeWith: 'bat', phoneticDistinct: false, sort: 'asc' }, 5, words);
+    assert.deepStrictEqual(picked, ['dog', 'fish']);
+});
@@ -0,0 +1,139 @@
+// /word-picker/test/rpc.test.js
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const test = require('node:test');
+const { createRpcHandler, serveRpc } = require('..');
+const { RPC_ERRORS } = require('../lib/rpc');
+
+const words = ['alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot'];
+
+// Sends one request object and returns the parsed response
+const call = (handle, method, params, id = 1) => JSON.parse(handle(JSON.stringify({ jsonrpc: '2.0', id, method, params })));
+
+test('invalid JSON is a parse error', () => {
+    const response = JSON.parse(createRpcHandler({ words })('{"jsonrpc": '));
+    assert.strictEqual(response.id, null);
+    assert.strictEqual(response.error.code, RPC_ERRORS.parseError);
+});
+
+test('messages that are not requests are invalid requests', () => {
+    const handle = createRpcHandler({ words });
+    for (const message of ['42', '{"jsonrpc": "1.0", "id": 1, "method": "count"}', '{"jsonrpc": "2.0", "id": 1}']) {
+        assert.strictEqual(JSON.parse(handle(message)).error.code, RPC_ERRORS.invalidRequest);
+    }
+    assert.strictEqual(call(handle, 'count', ['positional']).error.code, RPC_ERRORS.invalidParams);
+});
+
+test('unknown methods are reported with the known ones', () => {
+    const response = call(createRpcHandler({ words }), 'shuffle', {}, 'a');
+    assert.strictEqual(response.id, 'a');
+    assert.strictEqual(response.error.code, RPC_ERRORS.methodNotFound);
+    assert.deepStrictEqual(response.error.data.methods, ['getWords', 'count', 'validatePhrase', 'loadList']);
+});
+
+test('notifications are not answered, even when they fail', () => {
+    const handle = createRpcHandler({ words });
+    assert.strictEqual(handle('{"jsonrpc": "2.0", "method": "count"}'), null);
+    assert.strictEqual(handle('{"jsonrpc": "2.0", "method": "shuffle"}'), null);
+});
+
+test('batches are answered in one array without the notifications', () => {
+    const handle = createRpcHandler({ words });
+    const batch = [
+        { jsonrpc: '2.0', id: 1, method: 'count', params: { options: { phoneticDistinct: false } } },
+        { jsonrpc: '2.0', method: 'count' },
+        { jsonrpc: '2.0', id: 2, method: 'shuffle' }
+    ];
+    const responses = JSON.parse(handle(JSON.stringify(batch)));
+    assert.deepStrictEqual(responses.map(response => response.id), [1, 2]);
+    assert.deepStrictEqual(responses[0].result, { count: 6 });
+    assert.strictEqual(responses[1].error.code, RPC_ERRORS.methodNotFound);
+
+    assert.strictEqual(handle('[{"jsonrpc": "2.0", "method": "count"}]'), null);
+    assert.strictEqual(JSON.parse(handle('[]')).error.code, RPC_ERRORS.invalidRequest);
+});
+
+test('getWords applies the defaults and the count', () => {
+    const handle = createRpcHandler({ words, defaults: { phoneticDistinct: false, caseOption: 'upper' } });
+    const { result } = call(handle, 'getWords', { count: 3, options: { seed: 1 } });
+    assert.strictEqual(result.words.length, 3);
+    assert.ok(result.words.every(word => words.includes(word.toLowerCase()) && word === word.toUpperCase()));
+    assert.strictEqual(result.entropy.poolSize, 6);
+    assert.strictEqual(call(handle, 'getWords', { count: 7, options: { strict: true } }).error.code, RPC_ERRORS.insufficientWords);
+    assert.strictEqual(call(handle, 'getWords', { options: 'upper' }).error.code, RPC_ERRORS.invalidParams);
+});
+
+test('validatePhrase checks every word against the filtered pool', () => {
+    const handle = createRpcHandler({ words, defaults: { phoneticDistinct: false } });
+    assert.deepStrictEqual(call(handle, 'validatePhrase', { phrase: 'Alpha  bravo' }).result, {
+        valid: true,
+        words: [{ word: 'Alpha', inPool: true }, { word: 'bravo', inPool: true }]
+    });
+    const { result } = call(handle, 'validatePhrase', { phrase: ['alpha', 'zulu'], options: { lengthMin: 6 } });
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.words.map(entry => entry.inPool), [false, false]);
+    for (const phrase of [' ', [], [1], undefined]) {
+        assert.strictEqual(call(handle, 'validatePhrase', { phrase }).error.code, RPC_ERRORS.invalidParams);
+    }
+});
+
+test('loadList takes an array of words', () => {
+    const handle = createRpcHandler({ words });
+    const { result } = call(handle, 'loadList', { words: ['kilo', { word: 'lima', weight: 2 }] });
+    assert.strictEqual(result.format, 'array');
+    assert.strictEqual(result.count, 2);
+    assert.deepStrictEqual(call(handle, 'count', { options: { phoneticDistinct: false } }).result, { count: 2 });
+});
+
+test('loadList reports the index of an invalid entry', () => {
+    const handle = createRpcHandler({ words });
+    for (const [list, index] of [[['kilo', 42], 1], [['kilo', { word: '' }], 1], [[{ word: 'kilo', weight: -1 }], 0], ['kilo', undefined]]) {
+        const { error } = call(handle, 'loadList', { words: list });
+        assert.strictEqual(error.code, RPC_ERRORS.invalidParams);
+        assert.strictEqual(error.data && error.data.index, index);
+    }
+    const { error } = call(handle, 'loadList', { text: '["kilo", null]', name: 'list.json' });
+    assert.strictEqual(error.data.index, 1);
+    // A rejected list leaves the current one in place
+    assert.deepStrictEqual(call(handle, 'count', { options: { phoneticDistinct: false } }).result, { count: 6 });
+});
+
+test('loadList takes list text in any format', () => {
+    const handle = createRpcHandler({ words });
+    const { result } = call(handle, 'loadList', { text: '# name: Two\nkilo\nlima\n' });
+    assert.strictEqual(result.source, null);
+    assert.strictEqual(result.name, 'Two');
+    assert.strictEqual(result.count, 2);
+    assert.strictEqual(call(handle, 'loadList', { text: '{"word": "kilo"}\n{"word": "lima"}', name: 'list.ndjson' }).result.format, 'ndjson');
+    assert.strictEqual(call(handle, 'loadList', { text: '"kilo\n', name: 'list.ndjson' }).error.code, RPC_ERRORS.wordListLoad);
+});
+
+test('loadList takes a file path, or null for the bundled list', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'word-picker-'));
+    const file = path.join(dir, 'list.txt');
+    try {
+        fs.writeFileSync(file, 'kilo\nlima\nmike\n');
+        const handle = createRpcHandler({ words });
+        assert.strictEqual(call(handle, 'loadList', { source: file }).result.count, 3);
+        assert.strictEqual(call(handle, 'loadList', { source: path.join(dir, 'missing.txt') }).error.code, RPC_ERRORS.wordListLoad);
+        assert.strictEqual(call(handle, 'loadList', { source: 42 }).error.code, RPC_ERRORS.invalidParams);
+        assert.ok(call(handle, 'loadList', { source: null }).result.count > 1000);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('serveRpc answers one line per request', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const lines = serveRpc({ input, output, words, defaults: { phoneticDistinct: false } });
+    const closed = new Promise(resolve => lines.on('close', resolve));
+    input.end('{"jsonrpc": "2.0", "id": 1, "method": "count"}\n\n{"jsonrpc": "2.0", "method": "count"}\n{"jsonrpc": "2.0", "id": 2, "method": "count"}\n');
+    await closed;
+    const responses = output.read().toString().trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(responses.map(response => response.id), [1, 2]);
+});
@@ -0,0 +1,49 @@
+// /word-picker/test/seed.test.js
+
+const assert = require('assert');
+const test = require('node:test');
+const { InvalidOptionError, getWords, getWordsDetailed } = require('..');
+const { createSeededRng } = require('../lib/random');
+
+// Pinned outputs: a change here breaks every reproduction that relies on a seed, so bump
+// SEEDED_ALGORITHM_VERSION in lib/random.js instead of updating these values
+test('sfc32 produces the pinned sequence for a seed', () => {
+    const rng = createSeededRng(42);
+    assert.deepStrictEqual([rng.nextUint32(), rng.nextUint32(), rng.nextUint32()], [2618143328, 4068501344, 2263741393]);
+});
+
+test('the same seed returns the same words from the bundled list', () => {
+    assert.deepStrictEqual(getWords({ seed: 42 }, 5), ['journeyman', 'quinaldine', 'jabalpur', 'downhill', 'benevolent']);
+    assert.deepStrictEqual(getWords({ seed: 'support-ticket-123' }, 4), ['wavell', 'septum', 'treasures', 'refectory']);
+});
+
+test('the same seed returns the same words from a custom list', () => {
+    const words = ['alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot'];
+    assert.deepStrictEqual(getWords({ seed: 7, phoneticDistinct: false }, 3, words), ['echo', 'bravo', 'delta']);
+    assert.deepStrictEqual(getWords({ seed: 7, phoneticDistinct: false }, 3, words), getWords({ seed: 7, phoneticDistinct: false }, 3, words));
+});
+
+test('seeded results are marked as non-secret', () => {
+    const { metadata } = getWordsDetailed({ seed: 42 }, 2);
+    assert.strictEqual(metadata.rng.algorithm, 'sfc32');
+    assert.strictEqual(metadata.rng.version, 1);
+    assert.strictEqual(metadata.rng.secure, false);
+    assert.strictEqual(metadata.entropy.phraseBits, 0);
+});
+
+test('unseeded results use the CSPRNG', () => {
+    const { metadata } = getWordsDetailed({}, 2);
+    assert.strictEqual(metadata.rng.algorithm, 'crypto.randomBytes');
+    assert.strictEqual(metadata.rng.secure, true);
+});
+
+test('an rng returning an index out of range is reported as an invalid option', () => {
+    const words = ['alpha', 'bravo', 'charlie', 'delta'];
+    for (const nextInt of [max => max, () => -1, () => 0.5, () => undefined]) {
+        assert.throws(() => getWords({ rng: { nextInt }, phoneticDistinct: false }, 2, words),
+            err => err instanceof InvalidOptionError && err.option === 'rng');
+        assert.throws(() => getWords({ rng: { nextInt }, weightedSelection: { alpha: 2 }, phoneticDistinct: false }, 2, words),
+            err => err instanceof InvalidOptionError && err.option === 'rng');
+    }
+    assert.strictEqual(getWords({ rng: { nextInt: () => 0 }, phoneticDistinct: false }, 2, words).length, 2);
+});
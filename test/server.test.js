@@ -0,0 +1,85 @@
+// /word-picker/test/server.test.js
+
+const assert = require('assert');
+const http = require('http');
+const test = require('node:test');
+const { createWordServer } = require('..');
+const { createRateLimiter } = require('../lib/server');
+
+const words = ['alpha', 'bravo', 'charlie', 'delta'];
+
+// Starts a server on a free port, runs the requests and closes it again
+const withServer = (config, run) => new Promise((resolve, reject) => {
+    const server = createWordServer(Object.assign({ words, rateLimit: false }, config));
+    const post = body => new Promise((done, fail) => {
+        const req = http.request({ port: server.address().port, host: '127.0.0.1', path: '/words', method: 'POST' }, res => {
+            let data = '';
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => done({ status: res.statusCode, body: JSON.parse(data) }));
+        });
+        req.on('error', fail);
+        req.end(JSON.stringify(body));
+    });
+    server.listen(0, '127.0.0.1', () => {
+        run(post).then(resolve, reject).finally(() => server.close());
+    });
+});
+
+test('requests cannot set costly options unless the server allows them', () => withServer({}, async post => {
+    for (const option of [{ weightedSelection: { alpha: 1000 } }, { maxAttempts: 1e9 }, { pattern: '/^(a+)+$/' }]) {
+        const { status, body } = await post(Object.assign({ count: 2, phoneticDistinct: false }, option));
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.error.code, 'ERR_INVALID_OPTION');
+    }
+    assert.throws(() => createWordServer({ allowedOptions: ['history'] }), /allowedOptions/);
+}));
+
+test('allowedOptions lets trusted requests set them', () => withServer({ allowedOptions: ['maxAttempts', 'phoneticDistinct'] }, async post => {
+    const { status, body } = await post({ count: 2, maxAttempts: 50, phoneticDistinct: false });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.words.length, 2);
+}));
+
+test('maxCount also limits the words targetEntropyBits derives, without using up history', () => withServer({ maxCount: 2 }, async post => {
+    // Four words give log2(4 * 3) bits for two of them, so 4 bits need a third word
+    const refused = await post({ targetEntropyBits: 4, namespace: 'a', phoneticDistinct: false });
+    assert.strictEqual(refused.status, 400);
+    assert.strictEqual(refused.body.error.code, 'ERR_INVALID_OPTION');
+
+    // The refused request recorded nothing, so all four words are still available
+    const first = await post({ count: 2, namespace: 'a', phoneticDistinct: false });
+    const second = await post({ count: 2, namespace: 'a', phoneticDistinct: false });
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(second.status, 200);
+    assert.deepStrictEqual(first.body.words.concat(second.body.words).sort(), words);
+}));
+
+test('the rate limiter counts requests per client and window', () => {
+    const limiter = createRateLimiter({ windowMs: 1000, max: 2 });
+    limiter.check('a', 0);
+    limiter.check('a', 100);
+    limiter.check('b', 100);
+    assert.throws(() => limiter.check('a', 400), err => err.status === 429 && err.retryAfter === 1);
+    // A new window starts once the old one has passed
+    limiter.check('a', 1000);
+});
+
+test('the rate limiter drops the windows of clients that went quiet', () => {
+    const limiter = createRateLimiter({ windowMs: 1000, max: 5 });
+    for (let client = 0; client < 100; client++) {
+        limiter.check(`client${client}`, client);
+    }
+    assert.strictEqual(limiter.size(), 100);
+    // Every window but the ones started after 50 ms has expired by 1050 ms
+    limiter.check('late', 1050);
+    assert.strictEqual(limiter.size(), 50);
+    limiter.check('late', 5000);
+    assert.strictEqual(limiter.size(), 1);
+});
+
+test('requests over the rate limit get 429', () => withServer({ rateLimit: { windowMs: 60000, max: 1 } }, async post => {
+    assert.strictEqual((await post({ count: 1 })).status, 200);
+    const { status, body } = await post({ count: 1 });
+    assert.strictEqual(status, 429);
+    assert.strictEqual(body.error.code, 'ERR_RATE_LIMITED');
+}));
@@ -0,0 +1,48 @@
+// /word-picker/test/strict.test.js
+
+const assert = require('assert');
+const test = require('node:test');
+const { InsufficientWordsError, InvalidOptionError, getWords } = require('..');
+
+const words = ['alpha', 'bravo', 'charlie', 'delta'];
+
+// Asserts that the call throws an InsufficientWordsError with the given reason
+const assertInsufficient = (fn, reason) => {
+    assert.throws(fn, err => err instanceof InsufficientWordsError && err.reason === reason);
+};
+
+test('without strict, a short result is returned with a warning', () => {
+    const messages = [];
+    const logger = { debug() {}, info() {}, warn: message => messages.push(message), error() {} };
+    const picked = getWords({ phoneticDistinct: false, logger }, 6, words);
+    assert.strictEqual(picked.length, 4);
+    assert.strictEqual(messages.length, 1);
+    assert.ok(messages[0].includes('Only 4 of 6'));
+});
+
+test('strict fails when fewer words than requested can be selected', () => {
+    assert.throws(() => getWords({ strict: true, phoneticDistinct: false }, 6, words), err => err instanceof InsufficientWordsError
+        && err.reason === 'count' && err.requested === 6 && err.available === 4);
+    assertInsufficient(() => getWords({ strict: true, phoneticDistinct: false, minEditDistance: 10 }, 2, words), 'count');
+    assert.strictEqual(getWords({ strict: true, phoneticDistinct: false }, 4, words).length, 4);
+});
+
+test('strict.minPoolSize fails on a small filtered pool', () => {
+    assertInsufficient(() => getWords({ strict: { minPoolSize: 5 }, phoneticDistinct: false }, 1, words), 'poolSize');
+    assert.strictEqual(getWords({ strict: { minPoolSize: 4 }, phoneticDistinct: false }, 1, words).length, 1);
+});
+
+test('strict.minEntropyBits fails on a weak phrase', () => {
+    // Four words drawn in order from four give log2(4!) = 4.58 bits
+    assertInsufficient(() => getWords({ strict: { minEntropyBits: 5 }, phoneticDistinct: false }, 4, words), 'entropy');
+    assert.strictEqual(getWords({ strict: { minEntropyBits: 4 }, phoneticDistinct: false }, 4, words).length, 4);
+    assert.throws(() => getWords({ strict: { minEntropyBits: 4 }, seed: 1 }, 4, words), InvalidOptionError);
+});
+
+test('a failed strict call leaves the history unchanged', () => {
+    const history = new Set(['alpha']);
+    assertInsufficient(() => getWords({ strict: true, phoneticDistinct: false, history }, 4, words), 'count');
+    assert.deepStrictEqual(Array.from(history), ['alpha']);
+    getWords({ strict: true, phoneticDistinct: false, history }, 3, words);
+    assert.strictEqual(history.size, 4);
+});
@@ -0,0 +1,49 @@
+// /word-picker/test/syllables.test.js
+
+const assert = require('assert');
+const test = require('node:test');
+const { countSyllables, getWords } = require('..');
+
+test('countSyllables handles silent endings and vowel pairs', () => {
+    const expected = {
+        make: 1, table: 2, jumped: 1, wanted: 2, smiles: 1, sandwiches: 3,
+        lion: 2, quiet: 2, player: 2, going: 2, beautiful: 3, the: 1, a: 1
+    };
+    Object.keys(expected).forEach(word => {
+        assert.strictEqual(countSyllables(word), expected[word], word);
+    });
+});
+
+test('countSyllables counts the parts of compounds', () => {
+    assert.strictEqual(countSyllables('bookcase'), 2);
+    assert.strictEqual(countSyllables('ice cream'), 2);
+    assert.strictEqual(countSyllables('well-known'), 2);
+    assert.strictEqual(countSyllables('mother-in-law'), 4);
+});
+
+test('countSyllables gives words without letters no syllables', () => {
+    for (const value of ['', '42', ' - ', null, undefined, 7]) {
+        assert.strictEqual(countSyllables(value), 0);
+    }
+});
+
+test('the syllable options only keep words with matching counts', () => {
+    const cases = [
+        [{ syllableCount: 2 }, count => count === 2],
+        [{ limitSyllables: 2 }, count => count <= 2],
+        [{ onlyMonosyllabic: true }, count => count === 1],
+        [{ onlyPolysyllabic: true }, count => count >= 2]
+    ];
+    cases.forEach(([options, matches]) => {
+        const words = getWords(Object.assign({ seed: 5 }, options), 20);
+        assert.strictEqual(words.length, 20);
+        assert.ok(words.every(word => matches(countSyllables(word))), `${JSON.stringify(options)}: ${words}`);
+    });
+});
+
+test('a syllables field overrides the estimate', () => {
+    const words = [{ word: 'fire', syllables: 2 }, 'make', 'table'];
+    const options = { phoneticDistinct: false, sort: 'asc' };
+    assert.deepStrictEqual(getWords(Object.assign({ onlyMonosyllabic: true }, options), 3, words), ['make']);
+    assert.deepStrictEqual(getWords(Object.assign({ syllableCount: 2 }, options), 3, words), ['fire', 'table']);
+});
@@ -0,0 +1,58 @@
+// /word-picker/test/weights.test.js
+
+const assert = require('assert');
+const test = require('node:test');
+const { InvalidOptionError, WordListLoadError, getWords, getWordsDetailed } = require('..');
+const { parseWordList } = require('../lib/loader');
+
+const words = ['alpha', 'bravo', 'charlie', 'delta'];
+
+test('heavy words do not use up maxAttempts or crowd out the rest of the pool', () => {
+    const options = { weightedSelection: { alpha: 1000, bravo: 1000 }, phoneticDistinct: false };
+    for (let seed = 0; seed < 50; seed++) {
+        assert.deepStrictEqual(getWords({ ...options, seed }, 4, words).sort(), words);
+    }
+    assert.strictEqual(getWords({ ...options, maxAttempts: 4 }, 4, words).length, 4);
+});
+
+test('words weighted 0 are never drawn', () => {
+    for (let seed = 0; seed < 20; seed++) {
+        const picked = getWords({ weightedSelection: { alpha: 0 }, phoneticDistinct: false, seed }, 3, words);
+        assert.deepStrictEqual(picked.sort(), ['bravo', 'charlie', 'delta']);
+    }
+});
+
+test('weighted pools are reported as weighted', () => {
+    const { metadata } = getWordsDetailed({ weightedSelection: { alpha: 3 }, phoneticDistinct: false }, 1, words);
+    assert.strictEqual(metadata.entropy.weighted, true);
+    assert.strictEqual(metadata.entropy.poolSize, 4);
+});
+
+test('fractional entry weights are honoured, not rounded up', () => {
+    const entries = [{ word: 'alpha', weight: 0.1 }, { word: 'bravo', weight: 1 }];
+    let alpha = 0;
+    for (let seed = 0; seed < 2000; seed++) {
+        if (getWords({ phoneticDistinct: false, seed }, 1, entries)[0] === 'alpha') alpha++;
+    }
+    // Expected 1/11 of the draws, about 182
+    assert.ok(alpha > 120 && alpha < 250, `alpha was drawn ${alpha} times`);
+    assert.strictEqual(getWordsDetailed({ phoneticDistinct: false }, 1, entries).metadata.entropy.weighted, true);
+});
+
+test('a weight column of default weights keeps the pool uniform', () => {
+    const entries = words.map(word => ({ word, weight: 1 }));
+    const options = { phoneticDistinct: false, seed: 3 };
+    assert.deepStrictEqual(getWords(options, 3, entries), getWords(options, 3, words));
+    assert.strictEqual(getWordsDetailed(options, 3, entries).metadata.entropy.weighted, false);
+});
+
+test('entry weights must be between 0 and MAX_WEIGHT', () => {
+    assert.throws(() => getWords({}, 1, [{ word: 'alpha', weight: 1e7 }]), InvalidOptionError);
+    assert.throws(() => getWords({}, 1, [{ word: 'alpha', weight: -1 }]), InvalidOptionError);
+    assert.throws(() => getWords({}, 1, [{ word: 'alpha', weight: '2' }]), InvalidOptionError);
+    assert.throws(() => parseWordList('# format: annotated\nalpha\t10000000\n', 'list.tsv'), WordListLoadError);
+});
+
+test('weightedSelection is bounded by MAX_WEIGHT', () => {
+    assert.throws(() => getWords({ weightedSelection: { alpha: 1e12 } }, 1, words), err => err.issues[0].code === 'outOfRange');
+});